@@ -0,0 +1,206 @@
+// analytics.js (aggregations for the admin dashboard)
+import { PARCEL_STATUS } from "./parcelStatus.js";
+import { CHARGED_STATUSES } from "./payments.js";
+import { PARCEL_CURRENCY, LEGACY_CURRENCY, minorUnitFactorExpr, roundMoney } from "./currency.js";
+
+const INTERVALS = ["day", "week", "month"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse ?from=&to=&interval= (defaults: last 30 days, daily). Returns { error } on bad input.
+export const parseRange = ({ from, to, interval = "day" } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: "from and to must be valid dates (e.g. 2025-01-31)" };
+  }
+  if (start > end) return { error: "from must be before to" };
+  if (!INTERVALS.includes(interval)) return { error: `interval must be one of: ${INTERVALS.join(", ")}` };
+
+  // A bare date for `to` means "through the end of that day"
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+
+  return { from: start, to: end, interval };
+};
+
+const truncate = (field, interval) => ({ $dateTrunc: { date: field, unit: interval, startOfWeek: "monday" } });
+
+// Every period between from and to, so charts get explicit zeros instead of gaps
+const periodsBetween = (from, to, interval) => {
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  if (interval === "week") cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+  if (interval === "month") cursor.setUTCDate(1);
+
+  const periods = [];
+  while (cursor <= to) {
+    periods.push(new Date(cursor));
+    if (interval === "day") cursor.setUTCDate(cursor.getUTCDate() + 1);
+    if (interval === "week") cursor.setUTCDate(cursor.getUTCDate() + 7);
+    if (interval === "month") cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return periods;
+};
+
+const fillSeries = (rows, { from, to, interval }, fields) => {
+  const byPeriod = new Map(rows.map((row) => [new Date(row._id).getTime(), row]));
+  return periodsBetween(from, to, interval).map((period) => {
+    const row = byPeriod.get(period.getTime()) || {};
+    const point = { period: period.toISOString().slice(0, 10) };
+    for (const field of fields) point[field] = row[field] ?? 0;
+    return point;
+  });
+};
+
+export async function parcelsByStatus(db, { from, to }) {
+  const rows = await db
+    .collection("parcels")
+    .aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  const counts = new Map(rows.map((row) => [row._id, row.count]));
+  const data = Object.values(PARCEL_STATUS).map((status) => ({ label: status, value: counts.get(status) || 0 }));
+  // Anything the status migration has not normalized yet is still counted
+  for (const [status, count] of counts) {
+    if (!Object.values(PARCEL_STATUS).includes(status)) data.push({ label: status ?? "Unknown", value: count });
+  }
+  return data;
+}
+
+export async function parcelsByDistrict(db, { from, to }, side = "sender") {
+  const field = side === "receiver" ? "$receiverDistrict" : "$senderDistrict";
+  const rows = await db
+    .collection("parcels")
+    .aggregate([
+      { $match: { createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ])
+    .toArray();
+
+  return rows.map((row) => ({ label: row._id || "Unknown", value: row.count }));
+}
+
+// Stored currency of a payment or parcel; records from before currencies were stored were USD
+const currencyField = (...fields) => ({ $toLower: { $ifNull: [...fields, LEGACY_CURRENCY] } });
+
+// Net revenue (charged minus refunded) per period for one currency, in its major units
+export async function revenueOverTime(db, range, currency = PARCEL_CURRENCY) {
+  const rows = await db
+    .collection("payments")
+    .aggregate([
+      { $match: { createdAt: { $gte: range.from, $lte: range.to }, status: { $in: CHARGED_STATUSES } } },
+      { $addFields: { _currency: currencyField("$currency") } },
+      { $match: { _currency: currency } },
+      { $addFields: { _factor: minorUnitFactorExpr("$_currency") } },
+      {
+        $group: {
+          _id: truncate("$createdAt", range.interval),
+          gross: { $sum: { $divide: [{ $ifNull: ["$amount", 0] }, "$_factor"] } },
+          refunded: { $sum: { $divide: [{ $ifNull: ["$amountRefunded", 0] }, "$_factor"] } },
+          payments: { $sum: 1 },
+        },
+      },
+      { $addFields: { revenue: { $round: [{ $subtract: ["$gross", "$refunded"] }, 3] } } },
+    ])
+    .toArray();
+
+  return fillSeries(rows, range, ["revenue", "gross", "refunded", "payments"]);
+}
+
+// Average hours from rider assignment to delivery, per period and overall
+export async function deliveryTimes(db, range) {
+  const deliveredAt = { $ifNull: ["$deliveredAt", "$updatedAt"] };
+  const [result] = await db
+    .collection("parcels")
+    .aggregate([
+      { $match: { status: PARCEL_STATUS.DELIVERED, assignedAt: { $type: "date" } } },
+      { $addFields: { _deliveredAt: deliveredAt } },
+      { $match: { _deliveredAt: { $gte: range.from, $lte: range.to } } },
+      { $addFields: { hours: { $divide: [{ $subtract: ["$_deliveredAt", "$assignedAt"] }, 60 * 60 * 1000] } } },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, averageHours: { $avg: "$hours" }, deliveries: { $sum: 1 } } }],
+          series: [
+            {
+              $group: {
+                _id: truncate("$_deliveredAt", range.interval),
+                averageHours: { $avg: "$hours" },
+                deliveries: { $sum: 1 },
+              },
+            },
+            { $addFields: { averageHours: { $round: ["$averageHours", 2] } } },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  const overall = result?.overall?.[0];
+  return {
+    averageHours: overall ? Math.round(overall.averageHours * 100) / 100 : null,
+    deliveries: overall?.deliveries || 0,
+    series: fillSeries(result?.series || [], range, ["averageHours", "deliveries"]),
+  };
+}
+
+// Riders with the most deliveries; earnings are kept per currency
+export async function topRiders(db, { from, to }, limit = 10) {
+  const rows = await db
+    .collection("parcels")
+    .aggregate([
+      {
+        $match: {
+          status: PARCEL_STATUS.DELIVERED,
+          assignedRiderEmail: { $exists: true, $ne: null },
+          $expr: {
+            $and: [
+              { $gte: [{ $ifNull: ["$deliveredAt", "$updatedAt"] }, from] },
+              { $lte: [{ $ifNull: ["$deliveredAt", "$updatedAt"] }, to] },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { rider: "$assignedRiderEmail", currency: currencyField("$currency", "$quote.currency") },
+          riderName: { $last: "$assignedRiderName" },
+          deliveries: { $sum: 1 },
+          earnings: { $sum: { $ifNull: ["$riderEarning", 0] } },
+        },
+      },
+      { $sort: { "_id.currency": 1 } },
+      {
+        $group: {
+          _id: "$_id.rider",
+          riderName: { $last: "$riderName" },
+          deliveries: { $sum: "$deliveries" },
+          earningsByCurrency: { $push: { currency: "$_id.currency", amount: { $round: ["$earnings", 3] } } },
+        },
+      },
+      { $sort: { deliveries: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, riderEmail: "$_id", riderName: 1, deliveries: 1, earningsByCurrency: 1 } },
+    ])
+    .toArray();
+
+  // `earnings` stays a plain number in PARCEL_CURRENCY (USD unless configured) for existing dashboards
+  return rows.map((row) => ({
+    ...row,
+    earnings: roundMoney(row.earningsByCurrency.find((e) => e.currency === PARCEL_CURRENCY)?.amount || 0, PARCEL_CURRENCY),
+  }));
+}
+
+export async function signupsOverTime(db, range) {
+  const rows = await db
+    .collection("users")
+    .aggregate([
+      { $match: { createdAt: { $gte: range.from, $lte: range.to } } },
+      { $group: { _id: truncate("$createdAt", range.interval), signups: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  return fillSeries(rows, range, ["signups"]);
+}
@@ -0,0 +1,141 @@
+// app.js (Express app factory). index.js wires in the real services; tests pass in-memory ones.
+import express from "express";
+import cors from "cors";
+import { ensureIndexes } from "./db.js";
+import { createVerifyToken } from "./verifyToken.js";
+import { createVerifyRole } from "./verifyRole.js";
+import { createStripeWebhook } from "./payments.js";
+import { createStorage } from "./storage.js";
+import { setMailTransport } from "./notifications.js";
+import { RATE_LIMITS, createMemoryStore, createRateLimiter, parseTrustProxy } from "./rateLimit.js";
+import { ForbiddenError, notFoundHandler, errorHandler } from "./errors.js";
+import { createUsersRouter } from "./routes/users.js";
+import { createParcelsRouter } from "./routes/parcels.js";
+import { createPaymentsRouter } from "./routes/payments.js";
+import { createRidersRouter } from "./routes/riders.js";
+import { createTrackingRouter } from "./routes/tracking.js";
+import { createAnalyticsRouter } from "./routes/analytics.js";
+import { createAuditRouter } from "./routes/audit.js";
+
+// ✅ Read allowed origins from .env OR fallback
+const allowedOrigins = [
+  process.env.CLIENT_URL || "https://parcelx-client.vercel.app",
+  "http://localhost:5173",
+  "http://127.0.0.1:5173",
+];
+
+// ✅ Safer and dynamic CORS setup
+const corsOptions = {
+  origin: function (origin, callback) {
+    // Allow requests with no origin (e.g. Postman or server-to-server)
+    if (!origin) return callback(null, true);
+
+    const cleanOrigin = origin.replace(/\/$/, ""); // remove trailing slash if any
+    if (allowedOrigins.some((allowed) => cleanOrigin === allowed)) {
+      callback(null, true);
+    } else {
+      console.warn("❌ CORS blocked for origin:", origin);
+      callback(new ForbiddenError("CORS not allowed for this origin", { code: "CORS_NOT_ALLOWED" }));
+    }
+  },
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization"],
+  credentials: true,
+  optionsSuccessStatus: 200,
+};
+
+// `db` is a connected Db or a function resolving to one (lazy connect on serverless).
+// Indexes are ensured on first use; a failed attempt is retried on the next request.
+const createDbGetter = (db) => {
+  let ready = null;
+  return () => {
+    ready ||= (async () => {
+      const resolved = typeof db === "function" ? await db() : db;
+      await ensureIndexes(resolved);
+      return resolved;
+    })().catch((err) => {
+      ready = null;
+      throw err;
+    });
+    return ready;
+  };
+};
+
+// Build the API around its dependencies:
+//   db      - MongoDB Db (or async getter)
+//   stripe  - Stripe client (paymentIntents, refunds, webhooks)
+//   auth    - { verifyIdToken, getUser, getUserByEmail, setCustomUserClaims, revokeRefreshTokens },
+//             normally firebase.js
+//   mailer  - optional nodemailer-style transport ({ sendMail }); defaults to SMTP / JSON transport
+//   storage - optional proof-of-delivery storage driver (storage.js)
+//   rateLimitStore / rateLimits - counter store and budget overrides (rateLimit.js)
+export function createApp({
+  db,
+  stripe,
+  auth,
+  mailer,
+  storage = createStorage(),
+  webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+  rateLimitStore = createMemoryStore(),
+  rateLimits = {},
+  trustProxy = parseTrustProxy(),
+} = {}) {
+  if (!db) throw new Error("createApp: db is required");
+  if (!auth) throw new Error("createApp: auth is required");
+  if (mailer) setMailTransport(mailer);
+
+  const getDb = createDbGetter(db);
+
+  // --- Role guards (always after verifyToken)
+  const verifyRole = createVerifyRole(getDb);
+  const rateLimit = createRateLimiter({ store: rateLimitStore, limits: { ...RATE_LIMITS, ...rateLimits } });
+  const guards = {
+    verifyToken: createVerifyToken(auth),
+    verifyRole,
+    verifyAdmin: verifyRole("admin"),
+    verifyRider: verifyRole("rider", "admin"),
+    verifyUser: verifyRole(),
+    rateLimit,
+  };
+  const deps = { getDb, stripe, auth, storage, guards };
+
+  const app = express();
+  // req.ip is the rate limit key, so it must be the client's address and not the proxy's
+  app.set("trust proxy", trustProxy);
+  app.use(cors(corsOptions)); // ✅ Applied CORS safely
+
+  // Stripe webhook needs the raw body for signature checks, so it is mounted before express.json()
+  app.post("/webhooks/stripe", express.raw({ type: "application/json" }), createStripeWebhook({ stripe, webhookSecret, getDb }));
+
+  // Site-wide budget per IP; individual routes add tighter ones (RATE_LIMITS in rateLimit.js)
+  app.use(rateLimit("api"));
+
+  // Proof-of-delivery uploads carry base64 images, so they get a larger body limit than everything else
+  app.use("/parcels/:id/deliver", express.json({ limit: "6mb" }));
+  // Bulk imports arrive as a CSV body (or a large JSON array)
+  app.use("/parcels/bulk", express.text({ type: "text/csv", limit: "2mb" }), express.json({ limit: "2mb" }));
+
+  app.use(express.json());
+
+  // ✅ Ensure preflight OPTIONS requests handled globally
+  app.options(/.*/, cors(corsOptions));
+
+  app.use(createUsersRouter(deps));
+  app.use(createParcelsRouter(deps));
+  app.use(createPaymentsRouter(deps));
+  app.use(createRidersRouter(deps));
+  app.use(createTrackingRouter(deps));
+  app.use(createAnalyticsRouter(deps));
+  app.use(createAuditRouter(deps));
+
+  // Fallback root
+  app.get("/", (req, res) => res.send("🚀 ParcelX API is running..."));
+
+  // --- Errors: handlers throw typed errors (errors.js) and this turns them into one response shape
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+export default createApp;
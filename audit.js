@@ -0,0 +1,49 @@
+// audit.js (who did what: privileged mutations recorded in the audit_logs collection)
+
+export const AUDIT_ACTIONS = {
+  USER_ROLE_CHANGED: "user.role.changed",
+  RIDER_STATUS_CHANGED: "rider.status.changed",
+  PARCEL_ASSIGNED: "parcel.assigned",
+  PARCEL_AUTO_ASSIGNED: "parcel.auto_assigned",
+  PARCEL_STATUS_OVERRIDDEN: "parcel.status.overridden",
+  PARCEL_REFUNDED: "parcel.refunded",
+  CASHOUT_REVIEWED: "cashout.reviewed",
+};
+
+export async function ensureAuditIndexes(db) {
+  const auditCollection = db.collection("audit_logs");
+  await auditCollection.createIndex({ createdAt: -1 });
+  await auditCollection.createIndex({ action: 1, createdAt: -1 });
+  await auditCollection.createIndex({ "actor.email": 1, createdAt: -1 });
+  await auditCollection.createIndex({ "target.type": 1, "target.id": 1, createdAt: -1 });
+}
+
+// Record one privileged change made by the caller of `req`.
+//   target        - { type: "user" | "rider" | "parcel" | "cashout", id }
+//   before, after - just the fields that changed
+// Runs after the change itself, so a failed write is logged but never fails the request.
+export async function recordAudit(db, req, { action, target, before = null, after = null, note = "" }) {
+  const entry = {
+    action,
+    actor: {
+      uid: req.decoded?.uid || null,
+      email: req.decoded?.email || null,
+      role: req.role || null,
+    },
+    target: { type: target.type, id: String(target.id) },
+    before,
+    after,
+    note,
+    ip: req.ip || null,
+    userAgent: req.get?.("user-agent") || null,
+    createdAt: new Date(),
+  };
+
+  try {
+    await db.collection("audit_logs").insertOne(entry);
+    return entry;
+  } catch (error) {
+    console.error(`❌ Audit log write failed (${action} on ${entry.target.type} ${entry.target.id}):`, error);
+    return null;
+  }
+}
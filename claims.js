@@ -0,0 +1,74 @@
+// claims.js (Firebase custom claims that mirror users.role)
+import { ROLES, ROLE_RANK } from "./verifyRole.js";
+
+export const isDemotion = (from, to) => (ROLE_RANK[from] ?? 0) > (ROLE_RANK[to] ?? 0);
+
+const isNotFound = (err) => err?.code === "auth/user-not-found";
+
+const sameEmail = (a, b) => typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase();
+
+// The Firebase account behind a users document: the stored uid first, then the email. A uid whose
+// account has another email is ignored, so a wrong or planted uid never receives this user's role.
+const findAccount = async (auth, user) => {
+  if (!user.email) return null;
+  if (user.uid) {
+    try {
+      const account = await auth.getUser(user.uid);
+      if (sameEmail(account.email, user.email)) return account;
+      console.warn(`⚠️ Firebase account ${user.uid} does not belong to ${user.email}, looking it up by email`);
+    } catch (err) {
+      if (!isNotFound(err)) throw err;
+    }
+  }
+  try {
+    return await auth.getUserByEmail(user.email);
+  } catch (err) {
+    if (isNotFound(err)) return null;
+    throw err;
+  }
+};
+
+// Make the account's `role` claim match users.role, keeping any other claims. Going down a rank
+// also revokes the account's refresh tokens, so the old claim can't outlive the demotion.
+// `previousRole` stands in for the claim on accounts that never had one.
+// Returns { uid, from, to, changed, revoked }, or null when there is no Firebase account.
+export async function syncRoleClaim(auth, user, { previousRole, dryRun = false } = {}) {
+  const role = ROLES.includes(user.role) ? user.role : "user";
+  const account = await findAccount(auth, user);
+  if (!account) return null;
+
+  const claims = account.customClaims || {};
+  const from = claims.role || previousRole || "user";
+  const result = { uid: account.uid, from, to: role, changed: claims.role !== role, revoked: false };
+  if (!result.changed || dryRun) return result;
+
+  await auth.setCustomUserClaims(account.uid, { ...claims, role });
+  if (isDemotion(from, role)) {
+    await auth.revokeRefreshTokens(account.uid);
+    result.revoked = true;
+  }
+  return result;
+}
+
+// Same, for route handlers: the users collection is already updated, so a Firebase failure is
+// logged and flagged on the user (claimsSyncError) for `npm run sync:role-claims` to retry. Until
+// then the stale claim can't outrank users.role (verifyRole.js), so a demotion still applies.
+export async function syncUserClaims(db, auth, user, options) {
+  const usersCollection = db.collection("users");
+  try {
+    const result = await syncRoleClaim(auth, user, options);
+    if (result) {
+      await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { uid: result.uid, claimsSyncedAt: new Date() }, $unset: { claimsSyncError: "" } }
+      );
+    }
+    return result;
+  } catch (err) {
+    console.error("⚠️ Failed to sync role claim for", user.email, err.message);
+    await usersCollection
+      .updateOne({ _id: user._id }, { $set: { claimsSyncError: err.message } })
+      .catch(() => {});
+    return { error: err.message };
+  }
+}
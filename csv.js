@@ -0,0 +1,69 @@
+// csv.js (small RFC 4180 reader/writer for bulk imports and accounting exports)
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted fields with commas,
+// doubled quotes and line breaks, CRLF or LF line endings and a leading UTF-8 BOM (Excel).
+// Blank lines are skipped. Returns { rows } or { error } for an unterminated quote.
+export const parseCsv = (text) => {
+  const input = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) return { error: "Unterminated quoted field" };
+  if (field !== "" || row.length) endRow();
+
+  return { rows };
+};
+
+// First row is the header: [{ header: value, ... }, ...]
+export const csvToObjects = (text) => {
+  const { rows, error } = parseCsv(text);
+  if (error) return { error };
+  if (!rows.length) return { error: "CSV is empty" };
+
+  const [header, ...body] = rows;
+  const keys = header.map((name) => name.trim());
+  return { records: body.map((cells) => Object.fromEntries(keys.map((key, i) => [key, cells[i] ?? ""]))) };
+};
+
+// Quote when needed. Cells starting with = + - @ are prefixed with ' so spreadsheets
+// don't run customer-supplied text as a formula.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== "number") text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvRow = (values) => `${values.map(escapeCell).join(",")}\r\n`;
@@ -0,0 +1,59 @@
+// currency.js (parcel currency config, minor units and money formatting)
+
+// Currencies whose minor unit isn't a hundredth (Stripe's lists). Amounts sent to Stripe are in
+// minor units: 150 BDT is 15000, but 150 JPY is 150. Stripe wants three-decimal amounts in tens.
+const ZERO_DECIMAL = ["bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga", "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf"];
+const THREE_DECIMAL = ["bhd", "jod", "kwd", "omr", "tnd"];
+
+// Lowercase ISO 4217 code (as Stripe uses them), or null
+export const normalizeCurrency = (currency) => {
+  if (typeof currency !== "string" || !/^[a-z]{3}$/i.test(currency.trim())) return null;
+  return currency.trim().toLowerCase();
+};
+
+// Parcels, payments and ledger entries from before currencies were stored were charged in USD
+export const LEGACY_CURRENCY = "usd";
+
+// New parcels are priced (PRICING in pricing.js, major units) and charged in this currency. Each
+// parcel stores its own currency, so changing PARCEL_CURRENCY never re-prices existing parcels.
+// Defaults to the legacy currency so existing balances and dashboards keep their meaning.
+export const PARCEL_CURRENCY = normalizeCurrency(process.env.PARCEL_CURRENCY) || LEGACY_CURRENCY;
+
+export const parcelCurrency = (parcel) =>
+  normalizeCurrency(parcel?.currency) || normalizeCurrency(parcel?.quote?.currency) || LEGACY_CURRENCY;
+
+export const decimalsOf = (currency) => {
+  const code = normalizeCurrency(currency);
+  if (ZERO_DECIMAL.includes(code)) return 0;
+  if (THREE_DECIMAL.includes(code)) return 3;
+  return 2;
+};
+
+export const toMinorUnits = (amount, currency) => {
+  const decimals = decimalsOf(currency);
+  const minor = Math.round(amount * 10 ** decimals);
+  return decimals === 3 ? Math.round(minor / 10) * 10 : minor;
+};
+
+export const fromMinorUnits = (minor, currency) => minor / 10 ** decimalsOf(currency);
+
+// Round a major-unit amount to what the currency can express
+export const roundMoney = (amount, currency) => {
+  const factor = 10 ** decimalsOf(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+// 15000, "bdt" -> "150.00 BDT"
+export const formatMoney = (minor, currency) =>
+  `${fromMinorUnits(minor, currency).toFixed(decimalsOf(currency))} ${String(currency).toUpperCase()}`;
+
+// Aggregation expression for the minor-unit factor of a stored currency field (e.g. "$currency")
+export const minorUnitFactorExpr = (field) => ({
+  $switch: {
+    branches: [
+      { case: { $in: [{ $toLower: field }, ZERO_DECIMAL] }, then: 1 },
+      { case: { $in: [{ $toLower: field }, THREE_DECIMAL] }, then: 1000 },
+    ],
+    default: 100,
+  },
+});
@@ -0,0 +1,75 @@
+// db.js (shared MongoDB connection + indexes)
+import dotenv from "dotenv";
+import { MongoClient, ServerApiVersion } from "mongodb";
+import { ensureLedgerIndexes } from "./riderLedger.js";
+import { ensureOutboxIndexes } from "./notifications.js";
+import { ensureAuditIndexes } from "./audit.js";
+import { ensureLocationIndexes } from "./location.js";
+
+dotenv.config();
+
+// MONGODB_URI wins; otherwise the Atlas URI is built from DB_USER / DB_PASS (+ DB_HOST)
+const mongoUri = () => {
+  if (process.env.MONGODB_URI) return process.env.MONGODB_URI;
+  if (!process.env.DB_USER || !process.env.DB_PASS || !process.env.DB_NAME) {
+    throw new Error("Set MONGODB_URI, or DB_USER / DB_PASS / DB_NAME, in .env");
+  }
+  const host = process.env.DB_HOST || "cluster0.8k7klrr.mongodb.net";
+  return `mongodb+srv://${process.env.DB_USER}:${process.env.DB_PASS}@${host}/${process.env.DB_NAME}?retryWrites=true&w=majority&appName=Cluster0`;
+};
+
+// --- MongoDB connection (cached per process, created on first use)
+let cachedClient = null;
+let cachedDb = null;
+
+export async function connectDB() {
+  if (cachedDb) return { client: cachedClient, db: cachedDb };
+
+  const client = new MongoClient(mongoUri(), {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  await client.connect();
+  const db = client.db(process.env.DB_NAME);
+  cachedClient = client;
+  cachedDb = db;
+  return { client, db };
+}
+
+// --- Indexes every deployment needs; safe to run on each cold start
+export async function ensureIndexes(db) {
+  const usersCollection = db.collection("users");
+  const parcelsCollection = db.collection("parcels");
+  const paymentsCollection = db.collection("payments");
+  const trackingCollection = db.collection("tracking");
+
+  await usersCollection.createIndex({ email: 1 }, { unique: true });
+  await usersCollection.createIndex({ createdAt: -1 });
+  await parcelsCollection.createIndex({ createdAt: -1 });
+  // Older parcels may carry duplicate client-made IDs: run `npm run migrate:tracking-ids` first
+  await parcelsCollection.createIndex(
+    { trackingId: 1 },
+    { unique: true, partialFilterExpression: { trackingId: { $type: "string" } } }
+  );
+  await parcelsCollection.createIndex({ status: 1, deliveredAt: -1 });
+  await parcelsCollection.createIndex({ assignedRiderId: 1, status: 1 });
+  await db.collection("riders").createIndex({ status: 1, district: 1 });
+  // One application per user: run `npm run migrate:rider-applications` first on older data
+  await db.collection("riders").createIndex(
+    { email: 1 },
+    { unique: true, partialFilterExpression: { email: { $type: "string" } } }
+  );
+  await paymentsCollection.createIndex({ createdAt: -1 });
+  await paymentsCollection.createIndex({ payerEmail: 1, createdAt: -1 });
+  await paymentsCollection.createIndex({ paymentIntentId: 1 }, { unique: true });
+  await trackingCollection.createIndex({ tracking_id: 1, time: -1 });
+  await trackingCollection.createIndex({ parcel_id: 1 });
+  await ensureLedgerIndexes(db);
+  await ensureOutboxIndexes(db);
+  await ensureAuditIndexes(db);
+  await ensureLocationIndexes(db);
+}
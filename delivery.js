@@ -0,0 +1,69 @@
+// delivery.js (proof of delivery: one-time receiver code, evidence images, delivered side effects)
+import crypto from "crypto";
+import { quoteParcel, getQuoteError, quoteInputFrom } from "./pricing.js";
+import { creditDeliveryEarning } from "./riderLedger.js";
+import { parcelCurrency, roundMoney } from "./currency.js";
+import { releaseRiderIfIdle } from "./dispatch.js";
+import { notify } from "./notifications.js";
+
+export const MAX_CODE_ATTEMPTS = Number(process.env.DELIVERY_CODE_MAX_ATTEMPTS) || 5;
+export const CODE_LOCK_MINUTES = Number(process.env.DELIVERY_CODE_LOCK_MINUTES) || 15;
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const IMAGE_TYPES = { "image/png": "png", "image/jpeg": "jpg", "image/webp": "webp" };
+
+// The delivery code is only ever handed out once; never echo its hash back
+export const HIDDEN_PARCEL_FIELDS = { deliveryCode: 0 };
+
+// Six digits are easy to read out over the phone; the HMAC secret keeps the stored hash from
+// being brute-forced offline if the database leaks
+const CODE_SECRET = process.env.DELIVERY_CODE_SECRET || process.env.PAYMENT_GATEWAY_KEY || "parcelx-dev-secret";
+
+const hashCode = (salt, code) => crypto.createHmac("sha256", CODE_SECRET).update(`${salt}:${code}`).digest("hex");
+
+// Returns the plain code (to hand out once) and the record stored on the parcel
+export const generateDeliveryCode = () => {
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  const salt = crypto.randomBytes(8).toString("hex");
+  return { code, record: { salt, hash: hashCode(salt, code), failedAttempts: 0, createdAt: new Date() } };
+};
+
+export const checkDeliveryCode = (record, code) => {
+  if (!record?.hash || !/^\d{6}$/.test(String(code ?? "").trim())) return false;
+  const expected = Buffer.from(record.hash, "hex");
+  const actual = Buffer.from(hashCode(record.salt, String(code).trim()), "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Decode a data URL (data:image/png;base64,...) into { buffer, contentType, ext }, or { error }
+export const decodeImage = (dataUrl) => {
+  const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || ""));
+  if (!match) return { error: "must be a base64 data URL" };
+  const [, contentType, base64] = match;
+  if (!IMAGE_TYPES[contentType]) return { error: `must be one of: ${Object.keys(IMAGE_TYPES).join(", ")}` };
+
+  const buffer = Buffer.from(base64, "base64");
+  if (!buffer.length) return { error: "is empty" };
+  if (buffer.length > MAX_IMAGE_BYTES) return { error: `must be at most ${MAX_IMAGE_BYTES / 1024 / 1024} MB` };
+  return { buffer, contentType, ext: IMAGE_TYPES[contentType] };
+};
+
+// Everything that follows a parcel reaching Delivered: rider earning, ledger credit,
+// sender email and freeing the rider. Shared by the proof-of-delivery route and admin overrides.
+export async function applyDeliveredEffects(db, parcel) {
+  const isSameDistrict = parcel.riderDistrict?.toLowerCase() === parcel.receiverDistrict?.toLowerCase();
+  const percentage = isSameDistrict ? 0.3 : 0.8;
+  // Earnings follow the server-side quote, not whatever deliveryCost an old client stored
+  const input = quoteInputFrom(parcel);
+  const currency = parcelCurrency(parcel);
+  const deliveryCost = parcel.quote?.total ?? (getQuoteError(input, { currency }) ? 0 : quoteParcel(input, { currency }).total);
+  const riderEarning = roundMoney(deliveryCost * percentage, currency);
+
+  await db.collection("parcels").updateOne({ _id: parcel._id }, { $set: { riderEarning } });
+  if (parcel.assignedRiderEmail) {
+    await creditDeliveryEarning(db, parcel, riderEarning, currency);
+  }
+  await notify(db, "parcelDelivered", parcel.createdByEmail, { parcel });
+  await releaseRiderIfIdle(db, parcel.assignedRiderId);
+
+  return riderEarning;
+}
@@ -0,0 +1,280 @@
+// dispatch.js (rider assignment: manual checks + automatic dispatch)
+import { ObjectId } from "mongodb";
+import { PARCEL_STATUS } from "./parcelStatus.js";
+import { RIDER_STATUS, riderStatusSpellings } from "./riderStatus.js";
+import { DISTRICTS_BY_REGION, canonicalDistrict, regionOfDistrict } from "./districts.js";
+import { logTrackingEvent } from "./tracking.js";
+import { notify } from "./notifications.js";
+import { escapeRegex } from "./pagination.js";
+
+export const ACTIVE_RIDER_STATUSES = riderStatusSpellings(RIDER_STATUS.ACTIVE);
+export const OPEN_TASK_STATUSES = [PARCEL_STATUS.ASSIGNED, PARCEL_STATUS.PICKED_UP, PARCEL_STATUS.IN_TRANSIT];
+export const MAX_OPEN_TASKS = Number(process.env.DISPATCH_MAX_OPEN_TASKS) || 3;
+// How long a rider has to accept an assignment before it goes back to the pool
+export const OFFER_TIMEOUT_MINUTES = Number(process.env.ASSIGNMENT_ACCEPT_TIMEOUT_MINUTES) || 30;
+// First wait before auto-dispatch retries a parcel it couldn't assign
+export const DISPATCH_RETRY_MINUTES = Number(process.env.DISPATCH_RETRY_MINUTES) || 5;
+
+export const ASSIGNMENT_STATUS = { OFFERED: "Offered", ACCEPTED: "Accepted" };
+export const WORK_STATUS = { AVAILABLE: "Available", DELIVERY: "Delivery" };
+
+const SYSTEM_ACTOR = { email: null, role: "system" };
+
+// Open (assigned but not finished) parcels per rider id
+async function countOpenTasks(db, riderIds) {
+  const rows = await db
+    .collection("parcels")
+    .aggregate([
+      { $match: { assignedRiderId: { $in: riderIds.map(String) }, status: { $in: OPEN_TASK_STATUSES } } },
+      { $group: { _id: "$assignedRiderId", count: { $sum: 1 } } },
+    ])
+    .toArray();
+  return new Map(rows.map((row) => [row._id, row.count]));
+}
+
+// Why a rider cannot take another parcel right now, or null when they can
+export async function getUnavailableReason(db, rider) {
+  if (!ACTIVE_RIDER_STATUSES.includes(rider.status)) return `Rider is not active (status '${rider.status}')`;
+  const openTasks = (await countOpenTasks(db, [rider._id])).get(String(rider._id)) || 0;
+  if (openTasks >= MAX_OPEN_TASKS) return `Rider already has ${openTasks} open task(s) (limit ${MAX_OPEN_TASKS})`;
+  return null;
+}
+
+// Best free rider for a parcel: sender's district first, then the rest of its division.
+// Within a tier, fewest open tasks wins, then whoever has waited longest since their last assignment.
+export async function pickRider(db, parcel) {
+  const senderDistrict = canonicalDistrict(parcel.senderDistrict) || parcel.senderDistrict;
+  const region = regionOfDistrict(senderDistrict);
+  const neighbours = region ? DISTRICTS_BY_REGION[region].filter((d) => d !== senderDistrict) : [];
+
+  const tiers = [
+    { tier: "same-district", districts: [senderDistrict] },
+    { tier: "neighbouring-district", districts: neighbours },
+  ];
+
+  for (const { tier, districts } of tiers) {
+    if (!districts.length) continue;
+
+    const declined = (parcel.declinedBy || []).filter((id) => ObjectId.isValid(id)).map((id) => new ObjectId(id));
+    const riders = await db
+      .collection("riders")
+      .find({
+        _id: { $nin: declined },
+        status: { $in: ACTIVE_RIDER_STATUSES },
+        district: { $in: districts.map((d) => new RegExp(`^${escapeRegex(d)}$`, "i")) },
+      })
+      .toArray();
+    if (!riders.length) continue;
+
+    const openTasks = await countOpenTasks(db, riders.map((r) => r._id));
+    const ranked = riders
+      .map((rider) => ({ rider, openTasks: openTasks.get(String(rider._id)) || 0 }))
+      .filter(({ openTasks }) => openTasks < MAX_OPEN_TASKS)
+      .sort(
+        (a, b) =>
+          a.openTasks - b.openTasks ||
+          (a.rider.lastAssignedAt ? new Date(a.rider.lastAssignedAt).getTime() : 0) -
+            (b.rider.lastAssignedAt ? new Date(b.rider.lastAssignedAt).getTime() : 0)
+      );
+    if (!ranked.length) continue;
+
+    const [best] = ranked;
+    return {
+      rider: best.rider,
+      reason: {
+        tier,
+        riderDistrict: best.rider.district,
+        senderDistrict,
+        openTasks: best.openTasks,
+        lastAssignedAt: best.rider.lastAssignedAt || null,
+        candidatesConsidered: ranked.length,
+      },
+    };
+  }
+
+  return null;
+}
+
+// Offer a Paid parcel to a rider; it stays Assigned/Offered until the rider accepts or the offer expires.
+// Returns { conflict } if the parcel moved on in the meantime.
+export async function assignParcelToRider(db, parcel, rider, { actor = SYSTEM_ACTOR, dispatch } = {}) {
+  const now = new Date();
+  const riderId = String(rider._id);
+  const offerExpiresAt = new Date(now.getTime() + OFFER_TIMEOUT_MINUTES * 60 * 1000);
+
+  const parcelUpdate = await db.collection("parcels").updateOne(
+    { _id: parcel._id, status: parcel.status },
+    {
+      $set: {
+        assignedRiderId: riderId,
+        assignedRiderName: rider.name,
+        assignedRiderEmail: rider.email,
+        riderDistrict: rider.district,
+        status: PARCEL_STATUS.ASSIGNED,
+        assignmentStatus: ASSIGNMENT_STATUS.OFFERED,
+        offerExpiresAt,
+        assignedAt: now,
+        updatedAt: now,
+        dispatch: dispatch || { mode: "manual", by: actor.email, decidedAt: now },
+      },
+      $unset: { acceptedAt: "" },
+    }
+  );
+  if (parcelUpdate.matchedCount === 0) return { conflict: true };
+
+  const why = dispatch?.reason ? ` [auto: ${dispatch.reason.tier}, ${dispatch.reason.openTasks} open task(s)]` : "";
+  await logTrackingEvent(db, parcel, {
+    status: PARCEL_STATUS.ASSIGNED,
+    actor,
+    district: parcel.senderDistrict || null,
+    note: `Assigned to rider ${rider.name}${rider.email ? ` (${rider.email})` : ""}${why}`,
+  });
+  await notify(db, "riderAssignedSender", parcel.createdByEmail, { parcel, riderName: rider.name });
+  await notify(db, "riderAssignedRider", rider.email, { parcel });
+
+  // workStatus only flips to Delivery once the rider accepts
+  await db.collection("riders").updateOne(
+    { _id: new ObjectId(riderId) },
+    { $set: { lastAssignedParcel: String(parcel._id), lastAssignedAt: now } }
+  );
+
+  return { conflict: false, riderId, offerExpiresAt };
+}
+
+// Mark the rider Available again once they have no accepted, unfinished parcels left
+export async function releaseRiderIfIdle(db, riderId) {
+  if (!riderId || !ObjectId.isValid(riderId)) return false;
+
+  const busy = await db.collection("parcels").countDocuments({
+    assignedRiderId: String(riderId),
+    status: { $in: OPEN_TASK_STATUSES },
+    assignmentStatus: { $ne: ASSIGNMENT_STATUS.OFFERED },
+  });
+  if (busy > 0) return false;
+
+  await db
+    .collection("riders")
+    .updateOne({ _id: new ObjectId(riderId) }, { $set: { workStatus: WORK_STATUS.AVAILABLE } });
+  return true;
+}
+
+// Hand an assigned (not yet picked up) parcel back to the pool. The rider is remembered in
+// declinedBy so auto-dispatch doesn't offer it straight back to them.
+export async function returnToPool(db, parcel, { actor = SYSTEM_ACTOR, note }) {
+  const result = await db.collection("parcels").updateOne(
+    { _id: parcel._id, status: PARCEL_STATUS.ASSIGNED, assignedRiderId: parcel.assignedRiderId },
+    {
+      $set: { status: PARCEL_STATUS.PAID, updatedAt: new Date() },
+      $unset: {
+        assignedRiderId: "",
+        assignedRiderName: "",
+        assignedRiderEmail: "",
+        riderDistrict: "",
+        assignmentStatus: "",
+        offerExpiresAt: "",
+        acceptedAt: "",
+        assignedAt: "",
+      },
+      $addToSet: { declinedBy: parcel.assignedRiderId },
+    }
+  );
+  if (result.matchedCount === 0) return false;
+
+  await logTrackingEvent(db, parcel, {
+    status: PARCEL_STATUS.PAID,
+    actor,
+    district: parcel.senderDistrict || null,
+    note,
+  });
+  await releaseRiderIfIdle(db, parcel.assignedRiderId);
+  return true;
+}
+
+// Offers nobody accepted in time go back to the pool
+export async function expireStaleOffers(db, now = new Date()) {
+  const stale = await db
+    .collection("parcels")
+    .find({
+      status: PARCEL_STATUS.ASSIGNED,
+      assignmentStatus: ASSIGNMENT_STATUS.OFFERED,
+      offerExpiresAt: { $lte: now },
+    })
+    .limit(100)
+    .toArray();
+
+  let expired = 0;
+  for (const parcel of stale) {
+    const returned = await returnToPool(db, parcel, {
+      note: `Offer to rider ${parcel.assignedRiderName || parcel.assignedRiderEmail} expired after ${OFFER_TIMEOUT_MINUTES} min`,
+    });
+    if (returned) expired++;
+  }
+  return expired;
+}
+
+// Pick and assign in one go. Returns { rider, reason } or { error } when nobody is free.
+export async function dispatchParcel(db, parcel, { actor = SYSTEM_ACTOR } = {}) {
+  const pick = await pickRider(db, parcel);
+  if (!pick) return { error: `No available rider in or near ${parcel.senderDistrict || "the sender's district"}` };
+
+  const dispatch = { mode: "auto", by: actor.email, reason: pick.reason, decidedAt: new Date() };
+  const result = await assignParcelToRider(db, parcel, pick.rider, { actor, dispatch });
+  if (result.conflict) return { error: "Parcel status changed, please retry", conflict: true };
+
+  return { rider: pick.rider, reason: pick.reason };
+}
+
+// Auto-dispatch: assign waiting Paid parcels, oldest first. A parcel nobody could take is retried
+// after a backoff (doubling from DISPATCH_RETRY_MINUTES, capped at an hour) so it doesn't block the
+// batch for parcels behind it.
+export async function dispatchWaitingParcels(db, now = new Date()) {
+  const waiting = await db
+    .collection("parcels")
+    .find({
+      status: PARCEL_STATUS.PAID,
+      $or: [{ nextDispatchAt: { $exists: false } }, { nextDispatchAt: { $lte: now } }],
+    })
+    .sort({ updatedAt: 1 })
+    .limit(20)
+    .toArray();
+
+  let assigned = 0;
+  for (const parcel of waiting) {
+    const result = await dispatchParcel(db, parcel);
+    if (!result.error) {
+      assigned++;
+      await db
+        .collection("parcels")
+        .updateOne({ _id: parcel._id }, { $unset: { lastDispatchError: "", nextDispatchAt: "", dispatchAttempts: "" } });
+    } else if (!result.conflict) {
+      const attempts = (parcel.dispatchAttempts || 0) + 1;
+      const delayMinutes = Math.min(DISPATCH_RETRY_MINUTES * 2 ** (attempts - 1), 60);
+      await db.collection("parcels").updateOne(
+        { _id: parcel._id },
+        {
+          $set: {
+            lastDispatchError: result.error,
+            dispatchAttempts: attempts,
+            nextDispatchAt: new Date(now.getTime() + delayMinutes * 60 * 1000),
+          },
+        }
+      );
+    }
+  }
+  return assigned;
+}
+
+// Background loop: expire stale offers and, with autoDispatch (AUTO_DISPATCH=true), dispatch waiting parcels
+export const startDispatchWorker = (getDb, { autoDispatch = false, intervalMs = 60 * 1000 } = {}) => {
+  const timer = setInterval(async () => {
+    try {
+      const db = await getDb();
+      await expireStaleOffers(db);
+      if (autoDispatch) await dispatchWaitingParcels(db);
+    } catch (error) {
+      console.error("Dispatch worker error:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
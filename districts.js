@@ -0,0 +1,102 @@
+// districts.js (the 64 districts we deliver to, grouped by division)
+
+export const DISTRICTS_BY_REGION = {
+  Dhaka: [
+    "Dhaka", "Faridpur", "Gazipur", "Gopalganj", "Kishoreganj", "Madaripur", "Manikganj",
+    "Munshiganj", "Narayanganj", "Narsingdi", "Rajbari", "Shariatpur", "Tangail",
+  ],
+  Chattogram: [
+    "Bandarban", "Brahmanbaria", "Chandpur", "Chattogram", "Cox's Bazar", "Cumilla", "Feni",
+    "Khagrachhari", "Lakshmipur", "Noakhali", "Rangamati",
+  ],
+  Rajshahi: ["Bogura", "Chapainawabganj", "Joypurhat", "Naogaon", "Natore", "Pabna", "Rajshahi", "Sirajganj"],
+  Khulna: [
+    "Bagerhat", "Chuadanga", "Jashore", "Jhenaidah", "Khulna", "Kushtia", "Magura", "Meherpur",
+    "Narail", "Satkhira",
+  ],
+  Barishal: ["Barguna", "Barishal", "Bhola", "Jhalokati", "Patuakhali", "Pirojpur"],
+  Sylhet: ["Habiganj", "Moulvibazar", "Sunamganj", "Sylhet"],
+  Rangpur: ["Dinajpur", "Gaibandha", "Kurigram", "Lalmonirhat", "Nilphamari", "Panchagarh", "Rangpur", "Thakurgaon"],
+  Mymensingh: ["Jamalpur", "Mymensingh", "Netrokona", "Sherpur"],
+};
+
+export const REGIONS = Object.keys(DISTRICTS_BY_REGION);
+export const DISTRICTS = Object.values(DISTRICTS_BY_REGION).flat();
+
+const byLowerName = new Map(DISTRICTS.map((name) => [name.toLowerCase(), name]));
+
+// Canonical spelling of a district name, or null when we don't serve it
+export const canonicalDistrict = (name) => byLowerName.get(String(name || "").trim().toLowerCase()) || null;
+
+export const regionOfDistrict = (name) => {
+  const district = canonicalDistrict(name);
+  return REGIONS.find((region) => DISTRICTS_BY_REGION[region].includes(district)) || null;
+};
+
+// Approximate [lat, lng] of each district headquarters; the destination for live ETAs
+export const DISTRICT_COORDINATES = {
+  Dhaka: [23.8103, 90.4125],
+  Faridpur: [23.607, 89.8429],
+  Gazipur: [23.9999, 90.4203],
+  Gopalganj: [23.005, 89.8266],
+  Kishoreganj: [24.4449, 90.7766],
+  Madaripur: [23.1641, 90.1896],
+  Manikganj: [23.8617, 90.0003],
+  Munshiganj: [23.5422, 90.5305],
+  Narayanganj: [23.6238, 90.5],
+  Narsingdi: [23.9322, 90.7151],
+  Rajbari: [23.7574, 89.6444],
+  Shariatpur: [23.2423, 90.4348],
+  Tangail: [24.2513, 89.9167],
+  Bandarban: [22.1953, 92.2184],
+  Brahmanbaria: [23.9571, 91.1119],
+  Chandpur: [23.2333, 90.6712],
+  Chattogram: [22.3569, 91.7832],
+  "Cox's Bazar": [21.4272, 92.0058],
+  Cumilla: [23.4607, 91.1809],
+  Feni: [23.0159, 91.3976],
+  Khagrachhari: [23.1193, 91.9847],
+  Lakshmipur: [22.9447, 90.8282],
+  Noakhali: [22.8696, 91.0995],
+  Rangamati: [22.6533, 92.175],
+  Bogura: [24.8465, 89.3773],
+  Chapainawabganj: [24.5965, 88.2775],
+  Joypurhat: [25.0968, 89.0227],
+  Naogaon: [24.7936, 88.9318],
+  Natore: [24.4206, 89.0003],
+  Pabna: [24.0064, 89.2372],
+  Rajshahi: [24.3745, 88.6042],
+  Sirajganj: [24.4534, 89.7007],
+  Bagerhat: [22.6516, 89.7859],
+  Chuadanga: [23.6402, 88.8418],
+  Jashore: [23.1664, 89.2081],
+  Jhenaidah: [23.545, 89.1726],
+  Khulna: [22.8456, 89.5403],
+  Kushtia: [23.9013, 89.1204],
+  Magura: [23.4873, 89.4199],
+  Meherpur: [23.7622, 88.6318],
+  Narail: [23.1725, 89.5126],
+  Satkhira: [22.7185, 89.0705],
+  Barguna: [22.1591, 90.1255],
+  Barishal: [22.701, 90.3535],
+  Bhola: [22.6859, 90.6482],
+  Jhalokati: [22.6406, 90.1987],
+  Patuakhali: [22.3596, 90.3299],
+  Pirojpur: [22.5841, 89.972],
+  Habiganj: [24.384, 91.4169],
+  Moulvibazar: [24.4829, 91.7774],
+  Sunamganj: [25.0658, 91.395],
+  Sylhet: [24.8949, 91.8687],
+  Dinajpur: [25.6217, 88.6354],
+  Gaibandha: [25.3288, 89.5281],
+  Kurigram: [25.8072, 89.6295],
+  Lalmonirhat: [25.9923, 89.2847],
+  Nilphamari: [25.931, 88.856],
+  Panchagarh: [26.3411, 88.5542],
+  Rangpur: [25.7439, 89.2752],
+  Thakurgaon: [26.0337, 88.4617],
+  Jamalpur: [24.9375, 89.9372],
+  Mymensingh: [24.7471, 90.4203],
+  Netrokona: [24.8709, 90.7279],
+  Sherpur: [25.0205, 90.0153],
+};
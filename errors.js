@@ -0,0 +1,121 @@
+// errors.js (typed API errors + the central error middleware)
+import { ObjectId } from "mongodb";
+
+// Every error response has the same shape:
+//   { success: false, code, message, errors? (field list), details? }
+// `code` is stable and meant for clients to branch on; `message` is for people.
+export class AppError extends Error {
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = "Validation failed", { code = "VALIDATION_FAILED", errors, details } = {}) {
+    super(message, { status: 400, code, details });
+    this.errors = errors;
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized access", { code = "UNAUTHORIZED", details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden access", { code = "FORBIDDEN", details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", { code = "NOT_FOUND", details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", { code = "CONFLICT", details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+// `retryAfter` (seconds) is sent back as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", { code = "TOO_MANY_REQUESTS", retryAfter, details } = {}) {
+    super(message, { status: 429, code, details });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// A service we depend on (Stripe, storage...) failed; not the caller's fault
+export class UpstreamError extends AppError {
+  constructor(message = "Upstream service error", { code = "UPSTREAM_ERROR", status = 502, details } = {}) {
+    super(message, { status, code, details });
+  }
+}
+
+// Parse a route/body id, turning malformed ids into a 400 instead of a BSON 500
+export const toObjectId = (id, label = "ID") => {
+  if (!ObjectId.isValid(id)) throw new ValidationError(`Invalid ${label}`, { code: "INVALID_ID" });
+  return new ObjectId(id);
+};
+
+// Map errors thrown by libraries onto our types
+const fromKnownError = (err) => {
+  if (err instanceof AppError) return err;
+
+  // body-parser
+  if (err.type === "entity.parse.failed") return new ValidationError("Malformed JSON body", { code: "INVALID_JSON" });
+  if (err.type === "entity.too.large") {
+    return new AppError("Request body is too large", { status: 413, code: "PAYLOAD_TOO_LARGE" });
+  }
+
+  // MongoDB / BSON
+  if (err.code === 11000) return new ConflictError("A record with the same key already exists", { code: "DUPLICATE_KEY" });
+  if (err.name === "BSONError") return new ValidationError("Invalid ID", { code: "INVALID_ID" });
+
+  // Stripe: card problems are the customer's to fix, bad requests are ours, anything else is Stripe's
+  if (err.type === "StripeCardError") return new AppError(err.message, { status: 402, code: "PAYMENT_DECLINED" });
+  if (err.type === "StripeInvalidRequestError") {
+    return new ValidationError("Payment request was rejected by the payment provider", { code: "PAYMENT_REQUEST_INVALID" });
+  }
+  if (typeof err.type === "string" && err.type.startsWith("Stripe")) {
+    return new UpstreamError("Payment provider is unavailable, please retry", { code: "PAYMENT_PROVIDER_ERROR" });
+  }
+
+  return null;
+};
+
+// Unmatched routes
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`, { code: "ROUTE_NOT_FOUND" }));
+};
+
+// Registered last. Internals (stack traces, driver messages) never reach clients in production.
+export const errorHandler = (err, req, res, next) => {
+  const known = fromKnownError(err);
+  const status = known?.status || 500;
+
+  if (status >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl}:`, err);
+  }
+  if (res.headersSent) return next(err);
+
+  const isProduction = process.env.NODE_ENV === "production";
+  const body = {
+    success: false,
+    code: known?.code || "INTERNAL_ERROR",
+    message: known?.message || (isProduction ? "Internal server error" : err.message || "Internal server error"),
+  };
+  if (known?.errors) body.errors = known.errors;
+  if (known?.details) body.details = known.details;
+  if (known?.retryAfter) res.set("Retry-After", String(known.retryAfter));
+
+  res.status(status).json(body);
+};
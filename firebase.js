@@ -0,0 +1,26 @@
+// firebase.js (Firebase Admin, initialized on first use so importing the app never needs the key)
+import admin from "firebase-admin";
+// import firebaseBase64 from "./convertKey.js";
+
+const getAuth = () => {
+  if (!admin.apps.length) {
+    const firebaseBase64 = process.env.FB_SERVICE_KEY;
+    if (!firebaseBase64) throw new Error("FB_SERVICE_KEY is not set in .env");
+
+    // FB_SERVICE_KEY holds the service account JSON, base64 encoded (see convertKey.js)
+    const decodedKey = JSON.parse(Buffer.from(firebaseBase64, "base64").toString("utf8"));
+    admin.initializeApp({
+      credential: admin.credential.cert(decodedKey),
+    });
+  }
+  return admin.auth();
+};
+
+// The part of firebase-admin's Auth the API uses; tests pass a stub with the same shape
+export const createFirebaseAuth = () => ({
+  verifyIdToken: (token, checkRevoked = false) => getAuth().verifyIdToken(token, checkRevoked),
+  getUser: (uid) => getAuth().getUser(uid),
+  getUserByEmail: (email) => getAuth().getUserByEmail(email),
+  setCustomUserClaims: (uid, claims) => getAuth().setCustomUserClaims(uid, claims),
+  revokeRefreshTokens: (uid) => getAuth().revokeRefreshTokens(uid),
+});
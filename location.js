@@ -0,0 +1,91 @@
+// location.js (rider live positions and the ETAs derived from them)
+import { EventEmitter } from "events";
+import { PARCEL_STATUS } from "./parcelStatus.js";
+import { DISTRICT_COORDINATES, canonicalDistrict } from "./districts.js";
+
+// A position older than this no longer says where the parcel is
+export const LIVE_LOCATION_MAX_AGE_MINUTES = Number(process.env.LIVE_LOCATION_MAX_AGE_MINUTES) || 30;
+
+// Bikes in traffic: straight-line distance * road factor at an average speed, plus the handover
+const AVERAGE_SPEED_KMH = 25;
+const ROAD_FACTOR = 1.3;
+const HANDOVER_MINUTES = 10;
+
+// Parcels that are physically with the rider
+const ON_THE_ROAD = [PARCEL_STATUS.PICKED_UP, PARCEL_STATUS.IN_TRANSIT];
+
+export async function ensureLocationIndexes(db) {
+  await db.collection("riders").createIndex({ location: "2dsphere" });
+}
+
+// --- Updates per tracking ID, for the SSE stream. In-process only; streams also poll the
+// database so changes made on another instance still arrive.
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+export const publishParcelUpdate = (trackingId) => {
+  if (trackingId) updates.emit(trackingId);
+};
+
+export const subscribeParcelUpdates = (trackingId, listener) => {
+  updates.on(trackingId, listener);
+  return () => updates.off(trackingId, listener);
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in km between two { lat, lng }
+export const distanceKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+// ETA from a rider's position to the receiver's district, or null when the district is unknown
+export const estimateArrival = (position, receiverDistrict, now = new Date()) => {
+  const target = DISTRICT_COORDINATES[canonicalDistrict(receiverDistrict)];
+  if (!target) return null;
+
+  const km = distanceKm(position, { lat: target[0], lng: target[1] }) * ROAD_FACTOR;
+  const minutes = (km / AVERAGE_SPEED_KMH) * 60 + HANDOVER_MINUTES;
+  return {
+    estimatedAt: new Date(now.getTime() + Math.round(minutes) * 60 * 1000),
+    distanceKm: Math.round(km * 10) / 10,
+    computedAt: now,
+  };
+};
+
+export const isFreshLocation = (location, now = new Date()) =>
+  !!location?.updatedAt && now - new Date(location.updatedAt) <= LIVE_LOCATION_MAX_AGE_MINUTES * 60 * 1000;
+
+// Store a rider's position (GeoJSON, for the 2dsphere index) and copy it, with a fresh ETA, onto
+// every parcel they are carrying. Returns the number of parcels updated.
+export async function recordRiderLocation(db, rider, { lat, lng, accuracy = null, heading = null, speed = null }) {
+  const now = new Date();
+  await db.collection("riders").updateOne(
+    { _id: rider._id },
+    {
+      $set: {
+        location: { type: "Point", coordinates: [lng, lat] },
+        locationMeta: { accuracy, heading, speed, updatedAt: now },
+      },
+    }
+  );
+
+  const parcelsCollection = db.collection("parcels");
+  const parcels = await parcelsCollection
+    .find({ assignedRiderId: String(rider._id), status: { $in: ON_THE_ROAD } })
+    .project({ trackingId: 1, receiverDistrict: 1 })
+    .toArray();
+
+  const riderLocation = { lat, lng, accuracy, updatedAt: now };
+  for (const parcel of parcels) {
+    await parcelsCollection.updateOne(
+      { _id: parcel._id, status: { $in: ON_THE_ROAD } },
+      { $set: { riderLocation, liveEta: estimateArrival({ lat, lng }, parcel.receiverDistrict, now) } }
+    );
+    publishParcelUpdate(parcel.trackingId);
+  }
+  return parcels.length;
+}
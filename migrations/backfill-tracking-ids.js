@@ -0,0 +1,60 @@
+// migrations/backfill-tracking-ids.js
+// Gives every parcel a server-generated tracking ID (PX-XXXX-XXXX). Parcels with a missing or
+// client-made ID get a new one; the old value is kept in legacyTrackingId so existing links keep
+// working. Run before deploying the unique trackingId index. Safe to run more than once.
+// Usage: npm run migrate:tracking-ids [-- --dry-run]
+import { connectDB } from "../db.js";
+import { generateTrackingId, normalizeTrackingId } from "../tracking.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function run() {
+  const { client, db } = await connectDB();
+  const parcelsCollection = db.collection("parcels");
+
+  const cursor = parcelsCollection.find({}, { projection: { trackingId: 1 } });
+
+  // Also catches two parcels that somehow share a well-formed ID
+  const seen = new Set();
+  const summary = { missing: 0, legacy: 0, duplicate: 0 };
+  const ops = [];
+  for await (const parcel of cursor) {
+    const current = parcel.trackingId;
+    const isCanonical = typeof current === "string" && normalizeTrackingId(current) === current;
+    if (isCanonical && !seen.has(current)) {
+      seen.add(current);
+      continue;
+    }
+
+    if (!current) summary.missing++;
+    else if (isCanonical) summary.duplicate++;
+    else summary.legacy++;
+
+    let trackingId;
+    do trackingId = generateTrackingId();
+    while (seen.has(trackingId));
+    seen.add(trackingId);
+
+    const $set = { trackingId };
+    if (current && !isCanonical) $set.legacyTrackingId = current;
+    ops.push({ updateOne: { filter: { _id: parcel._id }, update: { $set } } });
+  }
+
+  console.table(summary);
+  if (!ops.length) {
+    console.log("✅ All parcels already have a tracking ID");
+  } else if (dryRun) {
+    console.log(`ℹ️ Dry run: ${ops.length} parcel(s) would get a new tracking ID`);
+  } else {
+    const result = await parcelsCollection.bulkWrite(ops, { ordered: false });
+    await parcelsCollection.createIndex({ legacyTrackingId: 1 }, { sparse: true });
+    console.log(`✅ Assigned ${result.modifiedCount} tracking ID(s)`);
+  }
+
+  await client.close();
+}
+
+run().catch((err) => {
+  console.error("❌ Tracking ID backfill failed:", err);
+  process.exit(1);
+});
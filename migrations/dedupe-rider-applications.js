@@ -0,0 +1,91 @@
+// migrations/dedupe-rider-applications.js
+// Normalizes legacy rider statuses ("Approved", "Active", "Pending"...) and leaves one rider
+// application per email: the active/suspended one if any, otherwise the newest. The others move
+// to rider_applications_archive. Run before deploying the unique riders.email index. Safe to run
+// more than once.
+// Usage: npm run migrate:rider-applications [-- --dry-run]
+import { connectDB } from "../db.js";
+import { RIDER_STATUS, normalizeRiderStatus } from "../riderStatus.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Lower wins when picking which application to keep
+const KEEP_RANK = {
+  [RIDER_STATUS.ACTIVE]: 0,
+  [RIDER_STATUS.SUSPENDED]: 1,
+  [RIDER_STATUS.PENDING]: 2,
+  [RIDER_STATUS.REJECTED]: 3,
+};
+
+const createdTime = (rider) => new Date(rider.createdAt || rider._id.getTimestamp()).getTime();
+
+async function run() {
+  const { client, db } = await connectDB();
+  const ridersCollection = db.collection("riders");
+  const archiveCollection = db.collection("rider_applications_archive");
+
+  const summary = {};
+  const statusOps = [];
+  const byEmail = new Map();
+  for await (const rider of ridersCollection.find({}, { projection: { email: 1, status: 1, createdAt: 1 } })) {
+    const status = normalizeRiderStatus(rider.status) || RIDER_STATUS.PENDING;
+    if (status !== rider.status) {
+      const key = `${rider.status ?? "(none)"} -> ${status}`;
+      summary[key] = (summary[key] || 0) + 1;
+      statusOps.push({ updateOne: { filter: { _id: rider._id }, update: { $set: { status, legacyStatus: rider.status ?? null } } } });
+    }
+    if (typeof rider.email !== "string") continue;
+
+    const email = rider.email.toLowerCase();
+    if (!byEmail.has(email)) byEmail.set(email, []);
+    byEmail.get(email).push({ ...rider, status });
+  }
+
+  const duplicates = [];
+  for (const riders of byEmail.values()) {
+    if (riders.length < 2) continue;
+    riders.sort((a, b) => KEEP_RANK[a.status] - KEEP_RANK[b.status] || createdTime(b) - createdTime(a));
+    const [kept, ...rest] = riders;
+    rest.forEach((rider) => duplicates.push({ rider, keptId: kept._id }));
+  }
+
+  console.table(summary);
+  console.log(`ℹ️ ${duplicates.length} duplicate application(s) to archive`);
+
+  // Parcels still point at archived applications by id; list them so someone can check
+  const archivedIds = duplicates.map(({ rider }) => String(rider._id));
+  const referenced = archivedIds.length
+    ? await db.collection("parcels").countDocuments({ assignedRiderId: { $in: archivedIds } })
+    : 0;
+  if (referenced) console.warn(`⚠️ ${referenced} parcel(s) reference an archived application (kept in the archive)`);
+
+  if (dryRun) {
+    console.log(`ℹ️ Dry run: ${statusOps.length} status(es) would be normalized`);
+    await client.close();
+    return;
+  }
+
+  if (statusOps.length) {
+    const result = await ridersCollection.bulkWrite(statusOps, { ordered: false });
+    console.log(`✅ Normalized ${result.modifiedCount} rider status(es)`);
+  }
+
+  for (const { rider, keptId } of duplicates) {
+    const full = await ridersCollection.findOne({ _id: rider._id });
+    if (!full) continue;
+    await archiveCollection.replaceOne(
+      { _id: full._id },
+      { ...full, mergedInto: keptId, archivedAt: new Date() },
+      { upsert: true }
+    );
+    await ridersCollection.deleteOne({ _id: full._id });
+  }
+  if (duplicates.length) console.log(`✅ Archived ${duplicates.length} duplicate application(s)`);
+
+  await client.close();
+}
+
+run().catch((err) => {
+  console.error("❌ Rider application migration failed:", err);
+  process.exit(1);
+});
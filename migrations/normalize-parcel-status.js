@@ -0,0 +1,57 @@
+// migrations/normalize-parcel-status.js
+// Rewrites legacy parcel statuses ("In-Transit", "pending", "delivered", missing...)
+// to the canonical lifecycle in parcelStatus.js. Safe to run more than once.
+// Usage: npm run migrate:parcel-status [-- --dry-run]
+import { connectDB } from "../db.js";
+import { PARCEL_STATUS, normalizeStatus } from "../parcelStatus.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Best guess for parcels whose status is missing or unrecognized
+const inferStatus = (parcel) => {
+  if (parcel.assignedRiderEmail) return PARCEL_STATUS.ASSIGNED;
+  if (String(parcel.paymentStatus).toLowerCase() === "paid") return PARCEL_STATUS.PAID;
+  return PARCEL_STATUS.PENDING;
+};
+
+async function run() {
+  const { client, db } = await connectDB();
+  const parcelsCollection = db.collection("parcels");
+  const canonical = Object.values(PARCEL_STATUS);
+
+  const cursor = parcelsCollection.find(
+    { status: { $nin: canonical } },
+    { projection: { status: 1, paymentStatus: 1, assignedRiderEmail: 1 } }
+  );
+
+  const summary = {};
+  const ops = [];
+  for await (const parcel of cursor) {
+    const status = normalizeStatus(parcel.status) || inferStatus(parcel);
+    const key = `${parcel.status ?? "(none)"} -> ${status}`;
+    summary[key] = (summary[key] || 0) + 1;
+    ops.push({
+      updateOne: {
+        filter: { _id: parcel._id },
+        update: { $set: { status, legacyStatus: parcel.status ?? null } },
+      },
+    });
+  }
+
+  console.table(summary);
+  if (!ops.length) {
+    console.log("✅ All parcel statuses are already canonical");
+  } else if (dryRun) {
+    console.log(`ℹ️ Dry run: ${ops.length} parcel(s) would be updated`);
+  } else {
+    const result = await parcelsCollection.bulkWrite(ops, { ordered: false });
+    console.log(`✅ Normalized ${result.modifiedCount} parcel status(es)`);
+  }
+
+  await client.close();
+}
+
+run().catch((err) => {
+  console.error("❌ Parcel status migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// migrations/sync-role-claims.js
+// Reconciles Firebase custom claims with users.role for every user: sets the `role` claim where it
+// differs and revokes refresh tokens of accounts whose claim was a higher role (demotions). Also
+// retries users flagged with claimsSyncError by the API. Safe to run as often as needed.
+// Usage: npm run sync:role-claims [-- --dry-run]
+import { connectDB } from "../db.js";
+import { createFirebaseAuth } from "../firebase.js";
+import { syncRoleClaim, isDemotion } from "../claims.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function run() {
+  const { client, db } = await connectDB();
+  const usersCollection = db.collection("users");
+  const auth = createFirebaseAuth();
+
+  const summary = { unchanged: 0, updated: 0, revoked: 0, noAccount: 0, failed: 0 };
+  const cursor = usersCollection.find({}, { projection: { email: 1, uid: 1, role: 1 } });
+
+  // One user at a time: Firebase Admin rate-limits claim updates per project
+  for await (const user of cursor) {
+    try {
+      const result = await syncRoleClaim(auth, user, { dryRun });
+      if (!result) {
+        summary.noAccount++;
+        continue;
+      }
+      // A dry run revokes nothing, so count the demotions it would revoke
+      const revoked = dryRun ? result.changed && isDemotion(result.from, result.to) : result.revoked;
+      if (!result.changed) summary.unchanged++;
+      else {
+        summary.updated++;
+        const revokedNote = revoked ? (dryRun ? " (sessions would be revoked)" : " (sessions revoked)") : "";
+        console.log(`${dryRun ? "Would set" : "Set"} ${user.email}: ${result.from} -> ${result.to}${revokedNote}`);
+      }
+      if (revoked) summary.revoked++;
+
+      if (!dryRun) {
+        await usersCollection.updateOne(
+          { _id: user._id },
+          { $set: { uid: result.uid, claimsSyncedAt: new Date() }, $unset: { claimsSyncError: "" } }
+        );
+      }
+    } catch (err) {
+      summary.failed++;
+      console.error(`❌ ${user.email}:`, err.message);
+      if (!dryRun) await usersCollection.updateOne({ _id: user._id }, { $set: { claimsSyncError: err.message } });
+    }
+  }
+
+  console.table(summary);
+  if (dryRun) console.log(`ℹ️ Dry run: ${summary.updated} claim(s) would be updated, ${summary.revoked} session(s) revoked`);
+  else console.log(`✅ Updated ${summary.updated} claim(s), revoked ${summary.revoked} session(s)`);
+
+  await client.close();
+  if (summary.failed) process.exit(1);
+}
+
+run().catch((err) => {
+  console.error("❌ Role claim sync failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,203 @@
+// notifications.js (templated emails through an outbox collection)
+import nodemailer from "nodemailer";
+import { parcelCurrency, toMinorUnits, formatMoney } from "./currency.js";
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 20;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const CLIENT_URL = process.env.CLIENT_URL || "https://parcelx-client.vercel.app";
+
+// --- Transport: real SMTP when SMTP_HOST is set, otherwise nodemailer's JSON transport
+// (renders the message without sending, handy for local dev and tests)
+let transport = null;
+
+const createTransport = () => {
+  if (!process.env.SMTP_HOST) return nodemailer.createTransport({ jsonTransport: true });
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+};
+
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+// Swap the transport (e.g. a local SMTP stub or a recording fake in tests)
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// --- Templates: each returns { subject, text }
+const parcelLabel = (parcel) => parcel.trackingId || String(parcel._id);
+const deliveryCostText = (parcel) => {
+  if (typeof parcel.deliveryCost !== "number") return "-";
+  const currency = parcelCurrency(parcel);
+  return formatMoney(toMinorUnits(parcel.deliveryCost, currency), currency);
+};
+const trackLink = (parcel) => (parcel.trackingId ? `${CLIENT_URL}/track/${parcel.trackingId}` : CLIENT_URL);
+
+export const TEMPLATES = {
+  parcelCreated: ({ parcel, deliveryCode }) => ({
+    subject: `Parcel ${parcelLabel(parcel)} created`,
+    text:
+      `Your parcel ${parcelLabel(parcel)} has been booked. Delivery cost: ${deliveryCostText(parcel)}.\nPay now to get it on its way: ${CLIENT_URL}` +
+      (deliveryCode ? `\n\nDelivery code: ${deliveryCode}\nShare it only with the receiver; the rider needs it to complete delivery.` : ""),
+  }),
+  deliveryCode: ({ parcel, deliveryCode }) => ({
+    subject: `A parcel is on its way to you (${parcelLabel(parcel)})`,
+    text: `${parcel.senderName || "Someone"} sent you a parcel via ParcelX.\nYour delivery code is ${deliveryCode}. Give it to the rider only when you receive the parcel.\nTrack it: ${trackLink(parcel)}`,
+  }),
+  paymentConfirmed: ({ parcel }) => ({
+    subject: `Payment received for parcel ${parcelLabel(parcel)}`,
+    text: `We received your payment for parcel ${parcelLabel(parcel)}. We'll assign a rider shortly.\nTrack it: ${trackLink(parcel)}`,
+  }),
+  riderAssignedSender: ({ parcel, riderName }) => ({
+    subject: `A rider is assigned to parcel ${parcelLabel(parcel)}`,
+    text: `${riderName || "A rider"} will pick up your parcel ${parcelLabel(parcel)}.\nTrack it: ${trackLink(parcel)}`,
+  }),
+  riderAssignedRider: ({ parcel }) => ({
+    subject: `New delivery task: ${parcelLabel(parcel)}`,
+    text: `You have been assigned parcel ${parcelLabel(parcel)} from ${parcel.senderDistrict || "-"} to ${parcel.receiverDistrict || "-"}.\nOpen your tasks: ${CLIENT_URL}/dashboard`,
+  }),
+  parcelDelivered: ({ parcel }) => ({
+    subject: `Parcel ${parcelLabel(parcel)} delivered`,
+    text: `Your parcel ${parcelLabel(parcel)} has been delivered. Thanks for shipping with ParcelX!`,
+  }),
+  parcelCancelled: ({ parcel, refund }) => ({
+    subject: `Parcel ${parcelLabel(parcel)} cancelled`,
+    text:
+      `Parcel ${parcelLabel(parcel)} has been cancelled.` +
+      (refund ? `\nA refund of ${formatMoney(refund.amount, refund.currency)} is on its way.` : ""),
+  }),
+  duplicatePaymentRefunded: ({ parcel, refund }) => ({
+    subject: `Duplicate payment refunded for parcel ${parcelLabel(parcel)}`,
+    text: `Parcel ${parcelLabel(parcel)} was already paid, so we refunded your second payment of ${formatMoney(refund.amount, refund.currency)}.`,
+  }),
+  riderApproved: ({ rider }) => ({
+    subject: "Your ParcelX rider application is approved",
+    text: `Hi ${rider.name || "there"}, welcome aboard! You can now receive delivery tasks: ${CLIENT_URL}/dashboard`,
+  }),
+  riderRejected: ({ rider, reason, reapplyAfter }) => ({
+    subject: "Your ParcelX rider application",
+    text:
+      `Hi ${rider.name || "there"}, unfortunately your rider application was not approved.${reason ? `\nReason: ${reason}` : ""}` +
+      (reapplyAfter ? `\nYou can apply again from ${reapplyAfter.toISOString().slice(0, 10)}.` : ""),
+  }),
+  riderSuspended: ({ rider, reason }) => ({
+    subject: "Your ParcelX rider account is suspended",
+    text: `Hi ${rider.name || "there"}, your rider account has been suspended and you won't receive new delivery tasks.\nReason: ${reason}\nYour earnings and delivery history are still available: ${CLIENT_URL}/dashboard`,
+  }),
+  riderReinstated: ({ rider }) => ({
+    subject: "Your ParcelX rider account is active again",
+    text: `Hi ${rider.name || "there"}, your suspension has been lifted. You can receive delivery tasks again: ${CLIENT_URL}/dashboard`,
+  }),
+};
+
+// Called from initDbOnce
+export async function ensureOutboxIndexes(db) {
+  await db.collection("email_outbox").createIndex({ status: 1, nextAttemptAt: 1 });
+}
+
+// Render a template into the outbox and kick off a background flush.
+// Never throws: a notification problem must not fail the API request that caused it.
+export async function notify(db, template, to, data = {}) {
+  if (!to || !TEMPLATES[template]) return null;
+
+  try {
+    const { subject, text } = TEMPLATES[template](data);
+    const now = new Date();
+    const message = {
+      to,
+      template,
+      subject,
+      text,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+    };
+    await db.collection("email_outbox").insertOne(message);
+
+    setImmediate(() => {
+      processOutbox(db).catch((err) => console.error("Outbox flush failed:", err));
+    });
+    return message;
+  } catch (error) {
+    console.error(`Error queueing '${template}' email:`, error);
+    return null;
+  }
+}
+
+// Exponential backoff between attempts: 1, 2, 4, 8... minutes
+const backoffMs = (attempts) => 60 * 1000 * 2 ** Math.max(0, attempts - 1);
+
+// Send due messages. Each one is claimed atomically, so concurrent workers never double-send.
+export async function processOutbox(db, { batchSize = BATCH_SIZE } = {}) {
+  const outboxCollection = db.collection("email_outbox");
+  const results = { sent: 0, failed: 0 };
+
+  for (let i = 0; i < batchSize; i++) {
+    const now = new Date();
+    const message = await outboxCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          // A worker that died mid-send leaves its claim behind; pick it up again
+          { status: "sending", lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+        ],
+      },
+      { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+    if (!message) break;
+
+    try {
+      const info = await getTransport().sendMail({
+        from: process.env.MAIL_FROM || "ParcelX <no-reply@parcelx.app>",
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+      await outboxCollection.updateOne(
+        { _id: message._id },
+        { $set: { status: "sent", sentAt: new Date(), messageId: info?.messageId || null }, $unset: { lockedAt: "" } }
+      );
+      results.sent++;
+    } catch (error) {
+      const giveUp = message.attempts >= MAX_ATTEMPTS;
+      await outboxCollection.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: giveUp ? "failed" : "pending",
+            lastError: error.message,
+            nextAttemptAt: new Date(Date.now() + backoffMs(message.attempts)),
+          },
+          $unset: { lockedAt: "" },
+        }
+      );
+      console.warn(`⚠️ Email to ${message.to} failed (attempt ${message.attempts}):`, error.message);
+      results.failed++;
+    }
+  }
+
+  return results;
+}
+
+// Periodic retry loop for long-running servers (not started on serverless deployments)
+export const startOutboxWorker = (getDb, intervalMs = 60 * 1000) => {
+  const timer = setInterval(async () => {
+    try {
+      const db = await getDb();
+      await processOutbox(db);
+    } catch (error) {
+      console.error("Outbox worker error:", error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
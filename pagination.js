@@ -0,0 +1,113 @@
+// pagination.js (shared list-endpoint helpers)
+import { ObjectId } from "mongodb";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cursors carry the last item's sort value and _id, with just enough type info to restore Dates/ObjectIds
+const encodeValue = (value) => {
+  if (value instanceof Date) return { t: "date", v: value.toISOString() };
+  if (value instanceof ObjectId) return { t: "oid", v: value.toHexString() };
+  return { t: "raw", v: value ?? null };
+};
+
+// Cursors come from clients: only plain scalars go back into a query, never objects (e.g. { $gt: ... })
+const decodeValue = ({ t, v }) => {
+  if (t === "date" && typeof v === "string" && !Number.isNaN(Date.parse(v))) return new Date(v);
+  if (t === "oid" && typeof v === "string") return new ObjectId(v);
+  if (t === "raw" && (v === null || ["string", "number", "boolean"].includes(typeof v))) return v;
+  throw new Error("Invalid cursor value");
+};
+
+const encodeCursor = (item, sortField) =>
+  Buffer.from(JSON.stringify({ s: encodeValue(item[sortField]), id: encodeValue(item._id) })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return { value: decodeValue(s), id: decodeValue(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Read ?limit=&page=&cursor=&sort=&order= against a whitelist of sortable fields.
+// Returns { error } for anything outside the whitelist so clients get a 400, not a silent default.
+export const parseListQuery = (query = {}, { sortFields, defaultSort, defaultOrder = "desc" }) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be between 1 and ${MAX_LIMIT}` };
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  if (!Number.isInteger(page) || page < 1) return { error: "page must be a positive integer" };
+
+  const sortField = query.sort || defaultSort;
+  if (!sortFields.includes(sortField)) return { error: `sort must be one of: ${sortFields.join(", ")}` };
+
+  const order = String(query.order || defaultOrder).toLowerCase();
+  if (!["asc", "desc"].includes(order)) return { error: "order must be 'asc' or 'desc'" };
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  return { limit, page, cursor, sortField, sortDir: order === "asc" ? 1 : -1 };
+};
+
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive exact match for free-text filters like district names
+export const equalsIgnoreCase = (value) => ({ $regex: `^${escapeRegex(String(value).trim())}$`, $options: "i" });
+
+// { field: { $gte, $lte } } from ?from=&to=, or null when neither is set. Returns { error } on bad dates.
+export const dateRangeFilter = (field, { from, to } = {}) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    range.$lte = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) range.$lte.setUTCHours(23, 59, 59, 999);
+  }
+  if (Object.values(range).some((d) => Number.isNaN(d.getTime()))) {
+    return { error: "from and to must be valid dates (e.g. 2025-01-31)" };
+  }
+  return { [field]: range };
+};
+
+// Run a paginated find. Cursor mode (keyset on sortField + _id) wins over page mode when both are given.
+// Response envelope shared by every list endpoint: { success, total, limit, page, nextCursor, data }
+export async function paginate(collection, filter, { limit, page, cursor, sortField, sortDir }, { projection } = {}) {
+  let query = filter;
+  if (cursor) {
+    const op = sortDir === 1 ? "$gt" : "$lt";
+    query = {
+      $and: [
+        filter,
+        { $or: [{ [sortField]: { [op]: cursor.value } }, { [sortField]: cursor.value, _id: { [op]: cursor.id } }] },
+      ],
+    };
+  }
+
+  let find = collection
+    .find(query)
+    .sort({ [sortField]: sortDir, _id: sortDir })
+    .skip(cursor ? 0 : (page - 1) * limit)
+    .limit(limit + 1);
+  if (projection) find = find.project(projection);
+
+  const [items, total] = await Promise.all([find.toArray(), collection.countDocuments(filter)]);
+  const hasMore = items.length > limit;
+  const data = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    success: true,
+    total,
+    limit,
+    page: cursor ? null : page,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortField) : null,
+    data,
+  };
+}
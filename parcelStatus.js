@@ -0,0 +1,86 @@
+// parcelStatus.js (canonical parcel lifecycle)
+
+export const PARCEL_STATUS = {
+  PENDING: "Pending",
+  PAID: "Paid",
+  ASSIGNED: "Assigned",
+  PICKED_UP: "Picked-Up",
+  IN_TRANSIT: "In-Transit",
+  DELIVERED: "Delivered",
+  CANCELLED: "Cancelled",
+  RETURNED: "Returned",
+};
+
+const S = PARCEL_STATUS;
+
+// Allowed next statuses, per role. Admins may make any lifecycle move (PATCH /parcels/:id/status
+// hands Paid/Assigned moves to the assignment helpers, which keep the rider fields in step);
+// "system" covers server-driven changes such as payment confirmation, offer decline/expiry
+// pickup confirmation (the only way a rider's parcel goes into transit) and proof of delivery
+// (the only way a rider completes one).
+const TRANSITIONS = {
+  [S.PENDING]: {
+    admin: [S.PAID, S.CANCELLED],
+    system: [S.PAID, S.CANCELLED],
+    user: [S.CANCELLED],
+  },
+  [S.PAID]: {
+    admin: [S.ASSIGNED, S.CANCELLED],
+    system: [S.ASSIGNED, S.CANCELLED],
+    user: [S.CANCELLED],
+  },
+  [S.ASSIGNED]: {
+    admin: [S.PAID, S.PICKED_UP, S.CANCELLED],
+    system: [S.PAID, S.PICKED_UP, S.CANCELLED],
+    user: [S.CANCELLED],
+  },
+  [S.PICKED_UP]: {
+    admin: [S.IN_TRANSIT, S.RETURNED],
+    system: [S.IN_TRANSIT],
+    rider: [S.RETURNED],
+  },
+  [S.IN_TRANSIT]: {
+    admin: [S.DELIVERED, S.RETURNED],
+    system: [S.DELIVERED],
+    rider: [S.RETURNED],
+  },
+  [S.DELIVERED]: {},
+  [S.CANCELLED]: {},
+  [S.RETURNED]: {},
+};
+
+// Loose spellings found in older documents and clients
+const ALIASES = {
+  pending: S.PENDING,
+  unpaid: S.PENDING,
+  paid: S.PAID,
+  assigned: S.ASSIGNED,
+  "picked-up": S.PICKED_UP,
+  "picked up": S.PICKED_UP,
+  pickedup: S.PICKED_UP,
+  "in-transit": S.IN_TRANSIT,
+  "in transit": S.IN_TRANSIT,
+  intransit: S.IN_TRANSIT,
+  delivered: S.DELIVERED,
+  cancelled: S.CANCELLED,
+  canceled: S.CANCELLED,
+  returned: S.RETURNED,
+};
+
+// Map any spelling to its canonical status, or null when it is not a known status
+export const normalizeStatus = (status) => {
+  if (typeof status !== "string") return null;
+  return ALIASES[status.trim().toLowerCase().replace(/_/g, "-")] || null;
+};
+
+export const isFinalStatus = (status) => {
+  const current = normalizeStatus(status);
+  return !!current && Object.keys(TRANSITIONS[current]).length === 0;
+};
+
+export const allowedTransitions = (from, role) => {
+  const current = normalizeStatus(from) || S.PENDING;
+  return TRANSITIONS[current]?.[role] || [];
+};
+
+export const canTransition = (from, to, role) => allowedTransitions(from, role).includes(normalizeStatus(to));
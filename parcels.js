@@ -0,0 +1,74 @@
+// parcels.js (parcel booking, shared by POST /parcels and the bulk CSV import)
+import { validate, parcelSchema } from "./validation.js";
+import { quoteParcel, getQuoteError, quoteInputFrom } from "./pricing.js";
+import { PARCEL_STATUS } from "./parcelStatus.js";
+import { logTrackingEvent, insertWithTrackingId } from "./tracking.js";
+import { generateDeliveryCode } from "./delivery.js";
+import { notify } from "./notifications.js";
+
+export const MAX_BULK_ROWS = 200;
+
+// Schema checks plus pricing, as one list of field errors -> { value, errors }
+export const validateParcel = (body) => {
+  const { value, errors } = validate(parcelSchema, body);
+  if (!errors.length) {
+    // The schema covers type and districts, so only the weight can still be unpriceable
+    const quoteError = getQuoteError(quoteInputFrom(value));
+    if (quoteError) errors.push({ field: "weight", message: quoteError });
+  }
+  return { value, errors };
+};
+
+// Book an already validated parcel: server-side price, tracking ID, delivery code, timeline
+// entry and the sender/receiver emails. Returns { insertedId, trackingId, deliveryCode }; the
+// plain code exists only in this return value and the emails.
+export async function createParcel(db, body, { createdByEmail, actor }) {
+  const quote = quoteParcel(quoteInputFrom(body));
+  const { code: deliveryCode, record: deliveryCodeRecord } = generateDeliveryCode();
+
+  const newParcel = {
+    ...body,
+    parcelType: quote.parcelType,
+    quote,
+    deliveryCost: quote.total, // never the client's figure
+    currency: quote.currency,
+    deliveryCode: deliveryCodeRecord,
+    createdByEmail,
+    status: PARCEL_STATUS.PENDING,
+    paymentStatus: "Unpaid",
+    createdAtReadable: new Date().toISOString(),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const { result, trackingId } = await insertWithTrackingId(db.collection("parcels"), newParcel);
+  const createdParcel = { ...newParcel, _id: result.insertedId, trackingId };
+
+  await logTrackingEvent(db, createdParcel, {
+    status: createdParcel.status,
+    actor,
+    district: createdParcel.senderDistrict || null,
+    note: "Parcel created",
+  });
+  await notify(db, "parcelCreated", createdByEmail, { parcel: createdParcel, deliveryCode });
+  await notify(db, "deliveryCode", createdParcel.receiverEmail, { parcel: createdParcel, deliveryCode });
+
+  return { insertedId: result.insertedId, trackingId, deliveryCode };
+}
+
+// CSV headers are matched loosely ("Sender Phone", "sender_phone", "senderPhone" and the older
+// "type" column all work); columns the schema doesn't know are ignored.
+const CSV_COLUMNS = new Map(
+  Object.entries(parcelSchema).flatMap(([field, rule]) =>
+    [field, rule.alias].filter(Boolean).map((name) => [name.toLowerCase().replace(/[^a-z0-9]/g, ""), field])
+  )
+);
+
+export const parcelFromCsvRecord = (record) => {
+  const parcel = {};
+  for (const [header, value] of Object.entries(record)) {
+    const field = CSV_COLUMNS.get(header.toLowerCase().replace(/[^a-z0-9]/g, ""));
+    if (field && value !== "") parcel[field] = value;
+  }
+  return parcel;
+};
@@ -0,0 +1,387 @@
+// payments.js (payment records + Stripe webhook)
+import { ObjectId } from "mongodb";
+import { PARCEL_STATUS, canTransition, normalizeStatus } from "./parcelStatus.js";
+import { logTrackingEvent } from "./tracking.js";
+import { notify } from "./notifications.js";
+import { LEGACY_CURRENCY, normalizeCurrency, parcelCurrency, fromMinorUnits, formatMoney } from "./currency.js";
+import { quoteAmountMinor } from "./pricing.js";
+
+export const PAYMENT_STATUS = {
+  SUCCEEDED: "Succeeded",
+  FAILED: "Failed",
+  REFUNDED: "Refunded",
+  PARTIALLY_REFUNDED: "Partially-Refunded",
+};
+
+// Payments whose amount was actually charged (whatever was refunded later)
+export const CHARGED_STATUSES = [PAYMENT_STATUS.SUCCEEDED, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED];
+
+const SYSTEM_ACTOR = { email: null, role: "system" };
+
+// Parcels were historically stored with both ObjectId and string ids
+export const parcelFilterFromId = (parcelId) => {
+  const orFilter = [];
+  if (ObjectId.isValid(parcelId)) orFilter.push({ _id: new ObjectId(parcelId) });
+  orFilter.push({ _id: parcelId });
+  return orFilter.length > 1 ? { $or: orFilter } : orFilter[0];
+};
+
+// Upsert the payment document for a PaymentIntent. `eventTime` (unix seconds) keeps
+// an older, redelivered event from overwriting a newer state such as a refund.
+async function upsertPayment(db, paymentIntentId, fields, eventTime) {
+  const paymentsCollection = db.collection("payments");
+  const now = new Date();
+  const { parcelId, payerEmail, ...rest } = fields;
+
+  try {
+    return await paymentsCollection.findOneAndUpdate(
+      {
+        paymentIntentId,
+        $or: [{ lastEventAt: { $exists: false } }, { lastEventAt: { $lte: eventTime } }],
+      },
+      {
+        $set: { ...rest, lastEventAt: eventTime, updatedAt: now },
+        $setOnInsert: { paymentIntentId, parcelId: parcelId || null, payerEmail: payerEmail || null, createdAt: now },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  } catch (err) {
+    // The unique paymentIntentId index rejects the upsert when a newer event already won
+    if (err?.code === 11000) return paymentsCollection.findOne({ paymentIntentId });
+    throw err;
+  }
+}
+
+// Why `pi` can't pay for `parcel`, or null. It must have been created for this parcel (older intents
+// have an empty parcelId), for the quoted amount and in the parcel's currency.
+export const paymentMismatch = (parcel, pi) => {
+  if (pi.metadata?.parcelId !== String(parcel._id)) return "PaymentIntent does not belong to this parcel";
+  const expected = quoteAmountMinor(parcel.quote);
+  if (!Number.isInteger(expected)) return "Parcel has no quote to pay";
+  if ((pi.amount_received ?? pi.amount) !== expected) return "PaymentIntent amount does not match the parcel quote";
+  if (normalizeCurrency(pi.currency) !== parcelCurrency(parcel)) return "PaymentIntent currency does not match the parcel";
+  return null;
+};
+
+// Why a succeeded payment is given back instead of paying for its parcel
+export const REFUND_REASONS = {
+  PARCEL_CANCELLED: "parcel-cancelled", // paid after the parcel was cancelled
+  DUPLICATE: "duplicate", // a second intent (e.g. checkout in two tabs) for a parcel already paid
+};
+
+// Refund a payment its parcel can't use, in full. A cancelled parcel then shows the refund; a paid
+// parcel keeps its original intent. When the refund fails the payment is flagged refundRequired
+// (and a cancelled parcel shows paymentStatus "Refund-Required"); Stripe errors are re-thrown so the
+// webhook answers 500 and Stripe redelivers the event. Admins can retry any time with
+// POST /payments/:paymentIntentId/refund.
+export async function refundUnusablePayment(db, parcel, pi, { stripe, actor = SYSTEM_ACTOR, reason }) {
+  const parcelsCollection = db.collection("parcels");
+  const paymentsCollection = db.collection("payments");
+  const cancelled = reason !== REFUND_REASONS.DUPLICATE;
+  const payment = await paymentsCollection.findOne({ paymentIntentId: pi.id });
+  if (payment?.amountRefunded > 0) return parcel;
+
+  const flag = async (error) => {
+    await paymentsCollection.updateOne(
+      { paymentIntentId: pi.id },
+      { $set: { refundRequired: reason, refundError: error, updatedAt: new Date() } }
+    );
+    if (payment?.refundRequired) return parcel;
+
+    const flagged = cancelled
+      ? await parcelsCollection.findOneAndUpdate(
+          { _id: parcel._id },
+          { $set: { paymentStatus: "Refund-Required", paymentIntentId: pi.id, updatedAt: new Date() } },
+          { returnDocument: "after" }
+        )
+      : parcel;
+    await logTrackingEvent(db, flagged, {
+      status: flagged.status,
+      actor,
+      district: flagged.senderDistrict || null,
+      note: `${cancelled ? "Paid after cancellation" : "Duplicate payment"} (${pi.id}), refund required`,
+    });
+    return flagged;
+  };
+  if (!stripe) return flag("No payment provider configured");
+
+  const amount = pi.amount_received ?? pi.amount;
+  let refund;
+  try {
+    refund = await stripe.refunds.create(
+      {
+        payment_intent: pi.id,
+        amount,
+        reason: cancelled ? "requested_by_customer" : "duplicate",
+        metadata: { parcelId: String(parcel._id), requestedBy: actor.email || "system" },
+      },
+      { idempotencyKey: `${reason}-${parcel._id}-${pi.id}` }
+    );
+  } catch (err) {
+    console.error(`❌ Failed to refund ${reason} payment`, pi.id, "for parcel", String(parcel._id), err.message);
+    await flag(err.message);
+    throw err;
+  }
+
+  if (cancelled) await parcelsCollection.updateOne({ _id: parcel._id }, { $set: { paymentIntentId: pi.id } });
+  await paymentsCollection.updateOne({ paymentIntentId: pi.id }, { $unset: { refundRequired: "", refundError: "" } });
+  const { parcel: updated } = await recordRefund(
+    db,
+    { paymentIntentId: pi.id, amount, amountRefunded: refund.amount, currency: refund.currency, parcelId: String(parcel._id) },
+    { actor, note: `${cancelled ? "Paid after cancellation" : "Duplicate payment"}, refund ${refund.id} issued` }
+  );
+
+  if (cancelled) {
+    await notify(db, "parcelCancelled", parcel.createdByEmail, { parcel: updated, refund });
+    return updated;
+  }
+  await logTrackingEvent(db, parcel, {
+    status: parcel.status,
+    actor,
+    district: parcel.senderDistrict || null,
+    note: `Duplicate payment ${pi.id} refunded (${refund.id})`,
+  });
+  await notify(db, "duplicatePaymentRefunded", parcel.createdByEmail, { parcel, refund });
+  return parcel;
+}
+
+// Record a succeeded PaymentIntent and mark its parcel Paid (no-op when already recorded).
+// Pass `stripe` so a payment on a cancelled or already-paid parcel can be refunded straight away;
+// a failed refund throws (see refundUnusablePayment).
+export async function recordPaymentSucceeded(db, pi, { actor = SYSTEM_ACTOR, eventTime = pi.created, stripe = null } = {}) {
+  const { parcelId = "", payerEmail = "" } = pi.metadata || {};
+
+  const payment = await upsertPayment(
+    db,
+    pi.id,
+    {
+      parcelId,
+      payerEmail: payerEmail || pi.receipt_email,
+      status: PAYMENT_STATUS.SUCCEEDED,
+      amount: pi.amount_received ?? pi.amount, // minor units of `currency`, as Stripe reports them
+      currency: normalizeCurrency(pi.currency),
+      paymentMethod: pi.payment_method_types?.[0] || null,
+      paidAt: new Date(),
+    },
+    eventTime
+  );
+
+  if (!parcelId) return { payment, parcel: null };
+
+  const parcelsCollection = db.collection("parcels");
+  const existing = await parcelsCollection.findOne(parcelFilterFromId(parcelId));
+  if (!existing) return { payment, parcel: null };
+  if (existing.paymentStatus === "Paid" && existing.paymentIntentId === pi.id) {
+    return { payment, parcel: existing };
+  }
+  if (normalizeStatus(existing.status) === PARCEL_STATUS.CANCELLED) {
+    const reason = REFUND_REASONS.PARCEL_CANCELLED;
+    return { payment, parcel: await refundUnusablePayment(db, existing, pi, { stripe, actor, reason }) };
+  }
+  // Already paid through another intent: the parcel keeps the first one, this one is given back
+  if (existing.paymentStatus === "Paid" && existing.paymentIntentId) {
+    const reason = REFUND_REASONS.DUPLICATE;
+    return { payment, parcel: await refundUnusablePayment(db, existing, pi, { stripe, actor, reason }), duplicate: true };
+  }
+
+  const mismatch = paymentMismatch(existing, pi);
+  if (mismatch) {
+    console.warn(`⚠️ Payment ${pi.id} not applied to parcel ${existing._id}: ${mismatch}`);
+    await db.collection("payments").updateOne({ paymentIntentId: pi.id }, { $set: { mismatch } });
+    return { payment, parcel: existing, mismatch };
+  }
+
+  // Only an unpaid parcel moves forward in the lifecycle; later stages keep their status
+  const paymentUpdate = { paymentStatus: "Paid", paymentIntentId: pi.id, updatedAt: new Date() };
+  if (canTransition(existing.status, PARCEL_STATUS.PAID, "system")) {
+    paymentUpdate.status = PARCEL_STATUS.PAID;
+  }
+
+  const parcel = await parcelsCollection.findOneAndUpdate(
+    { _id: existing._id },
+    { $set: paymentUpdate },
+    { returnDocument: "after" }
+  );
+  await logTrackingEvent(db, parcel, {
+    status: parcel.status,
+    actor,
+    district: parcel.senderDistrict || null,
+    note: `Payment confirmed (${pi.id})`,
+  });
+  await notify(db, "paymentConfirmed", parcel.createdByEmail, { parcel });
+
+  return { payment, parcel };
+}
+
+export async function recordPaymentFailed(db, pi, { eventTime = pi.created } = {}) {
+  const { parcelId = "", payerEmail = "" } = pi.metadata || {};
+
+  const payment = await upsertPayment(
+    db,
+    pi.id,
+    {
+      parcelId,
+      payerEmail,
+      status: PAYMENT_STATUS.FAILED,
+      amount: pi.amount,
+      currency: normalizeCurrency(pi.currency),
+      failureMessage: pi.last_payment_error?.message || null,
+    },
+    eventTime
+  );
+
+  // A failed retry must never downgrade a parcel that was already paid
+  if (parcelId) {
+    await db
+      .collection("parcels")
+      .updateOne(
+        { ...parcelFilterFromId(parcelId), paymentStatus: { $ne: "Paid" } },
+        { $set: { paymentStatus: "Failed", updatedAt: new Date() } }
+      );
+  }
+
+  return { payment };
+}
+
+// Record a refund from a Stripe Charge (or a Refund-shaped summary built by our own routes)
+export async function recordRefund(
+  db,
+  { paymentIntentId, amount, amountRefunded, currency, parcelId },
+  { actor = SYSTEM_ACTOR, eventTime = Math.floor(Date.now() / 1000), note = "" } = {}
+) {
+  const status = amountRefunded >= amount ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  const parcelPaymentStatus = status === PAYMENT_STATUS.REFUNDED ? "Refunded" : "Partially-Refunded";
+
+  const payment = await upsertPayment(
+    db,
+    paymentIntentId,
+    { parcelId, status, amountRefunded, currency: normalizeCurrency(currency), refundedAt: new Date() },
+    eventTime
+  );
+
+  const resolvedParcelId = parcelId || payment?.parcelId;
+  if (!resolvedParcelId) return { payment, parcel: null };
+
+  const parcelsCollection = db.collection("parcels");
+  const existing = await parcelsCollection.findOne(parcelFilterFromId(resolvedParcelId));
+  if (!existing) return { payment, parcel: null };
+  // A refunded duplicate payment says nothing about the intent the parcel was paid with
+  if (existing.paymentIntentId && existing.paymentIntentId !== paymentIntentId) return { payment, parcel: existing };
+  if (existing.paymentStatus === parcelPaymentStatus && existing.amountRefunded === amountRefunded) {
+    return { payment, parcel: existing };
+  }
+
+  const parcel = await parcelsCollection.findOneAndUpdate(
+    { _id: existing._id },
+    { $set: { paymentStatus: parcelPaymentStatus, amountRefunded, updatedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+  await logTrackingEvent(db, parcel, {
+    status: parcel.status,
+    actor,
+    district: parcel.senderDistrict || null,
+    note: note || `${parcelPaymentStatus} (${formatMoney(amountRefunded, currency)})`,
+  });
+
+  return { payment, parcel };
+}
+
+// Charged and refunded sums per currency for payments matching `filter`, in major units.
+// Amounts in different currencies are never added together.
+export async function paymentTotalsByCurrency(db, filter = {}) {
+  const rows = await db
+    .collection("payments")
+    .aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: { $toLower: { $ifNull: ["$currency", LEGACY_CURRENCY] } },
+          payments: { $sum: 1 },
+          charged: { $sum: { $cond: [{ $in: ["$status", CHARGED_STATUSES] }, { $ifNull: ["$amount", 0] }, 0] } },
+          refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ])
+    .toArray();
+
+  return rows.map(({ _id: currency, payments, charged, refunded }) => ({
+    currency,
+    payments,
+    amount: fromMinorUnits(charged, currency),
+    amountRefunded: fromMinorUnits(refunded, currency),
+    net: fromMinorUnits(charged - refunded, currency),
+  }));
+}
+
+// Dispatch a verified Stripe event. Every branch is an idempotent upsert, so a
+// redelivered event simply re-applies the same state.
+export async function handleStripeEvent(db, event, { stripe = null } = {}) {
+  const object = event.data?.object || {};
+
+  switch (event.type) {
+    case "payment_intent.succeeded":
+      return recordPaymentSucceeded(db, object, { eventTime: event.created, stripe });
+    case "payment_intent.payment_failed":
+      return recordPaymentFailed(db, object, { eventTime: event.created });
+    case "charge.refunded":
+      return recordRefund(
+        db,
+        {
+          paymentIntentId: object.payment_intent,
+          amount: object.amount,
+          amountRefunded: object.amount_refunded,
+          currency: object.currency,
+          parcelId: object.metadata?.parcelId,
+        },
+        { eventTime: event.created }
+      );
+    default:
+      return null;
+  }
+}
+
+// Express handler for POST /webhooks/stripe. Must be mounted with express.raw() so the
+// signature is checked against the exact bytes Stripe sent. Tests can sign their own
+// payloads with stripe.webhooks.generateTestHeaderString({ payload, secret }).
+export const createStripeWebhook = ({ stripe, webhookSecret, getDb }) => async (req, res) => {
+  const signature = req.headers["stripe-signature"];
+  if (!webhookSecret) {
+    console.error("❌ STRIPE_WEBHOOK_SECRET is not set");
+    return res.status(500).json({ success: false, message: "Webhook not configured" });
+  }
+  if (!signature) {
+    return res.status(400).json({ success: false, message: "Missing Stripe-Signature header" });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, signature, webhookSecret);
+  } catch (err) {
+    console.warn("⚠️ Stripe signature verification failed:", err.message);
+    return res.status(400).json({ success: false, message: "Invalid Stripe signature" });
+  }
+
+  try {
+    const db = await getDb();
+    const eventsCollection = db.collection("stripe_events");
+
+    if (await eventsCollection.findOne({ _id: event.id })) {
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    await handleStripeEvent(db, event, { stripe });
+
+    // Mark as processed only after the handler succeeded, so a failure is retried by Stripe
+    await eventsCollection
+      .insertOne({ _id: event.id, type: event.type, processedAt: new Date() })
+      .catch((err) => {
+        if (err?.code !== 11000) throw err;
+      });
+
+    res.status(200).json({ received: true });
+  } catch (err) {
+    console.error("Stripe webhook error:", err);
+    res.status(500).json({ success: false, message: "Failed to process webhook" });
+  }
+};
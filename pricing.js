@@ -0,0 +1,107 @@
+// pricing.js (server-side delivery pricing)
+import { PARCEL_CURRENCY, normalizeCurrency, toMinorUnits, roundMoney } from "./currency.js";
+
+export const PARCEL_TYPES = ["document", "non-document"];
+
+// Rates per currency, in major units. Same-district vs inter-district mirrors the rider earning
+// split. Districts are priced in taka; the USD table is the same prices at about 120 BDT per USD,
+// rounded to 5 cents. Setting PARCEL_CURRENCY (currency.js) to another currency needs a table here.
+export const PRICING = {
+  bdt: {
+    document: { sameDistrict: 60, interDistrict: 80 },
+    nonDocument: {
+      includedWeightKg: 3,
+      sameDistrict: 110,
+      interDistrict: 150,
+      perExtraKg: 40,
+      interDistrictSurcharge: 40,
+    },
+  },
+  usd: {
+    document: { sameDistrict: 0.5, interDistrict: 0.65 },
+    nonDocument: {
+      includedWeightKg: 3,
+      sameDistrict: 0.9,
+      interDistrict: 1.25,
+      perExtraKg: 0.35,
+      interDistrictSurcharge: 0.35,
+    },
+  },
+};
+
+export const ratesFor = (currency) => PRICING[normalizeCurrency(currency)] || null;
+
+// Refuse to start rather than charge one currency's numbers in another
+if (!ratesFor(PARCEL_CURRENCY)) {
+  throw new Error(`No rates for PARCEL_CURRENCY '${PARCEL_CURRENCY}': add them to PRICING in pricing.js`);
+}
+
+const sameText = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+const normalizeType = (parcelType) => {
+  const type = String(parcelType || "").trim().toLowerCase().replace(/[\s_]+/g, "-");
+  return PARCEL_TYPES.includes(type) ? type : null;
+};
+
+// Pick the pricing inputs out of a parcel document or request body (older clients send `type`)
+export const quoteInputFrom = (parcel = {}) => ({
+  parcelType: parcel.parcelType ?? parcel.type,
+  weight: parcel.weight,
+  senderDistrict: parcel.senderDistrict,
+  receiverDistrict: parcel.receiverDistrict,
+});
+
+// Returns a human-readable problem with the input, or null when it can be priced
+export const getQuoteError = ({ parcelType, weight, senderDistrict, receiverDistrict } = {}, { currency = PARCEL_CURRENCY } = {}) => {
+  if (!ratesFor(currency)) return `no rates for currency '${currency}'`;
+  const type = normalizeType(parcelType);
+  if (!type) return `parcelType must be one of: ${PARCEL_TYPES.join(", ")}`;
+  if (!senderDistrict || !receiverDistrict) return "senderDistrict and receiverDistrict are required";
+  if (type === "non-document") {
+    const kg = Number(weight);
+    if (!Number.isFinite(kg) || kg <= 0) return "weight (kg) must be a positive number for non-document parcels";
+  }
+  return null;
+};
+
+// Price a parcel. Call getQuoteError() first; this assumes the input is valid.
+export const quoteParcel = ({ parcelType, weight, senderDistrict, receiverDistrict }, { currency = PARCEL_CURRENCY } = {}) => {
+  const pricing = ratesFor(currency);
+  const type = normalizeType(parcelType);
+  const isSameDistrict = sameText(senderDistrict, receiverDistrict);
+  const breakdown = { base: 0, extraWeight: 0, interDistrictSurcharge: 0 };
+  let weightKg = null;
+
+  if (type === "document") {
+    breakdown.base = isSameDistrict ? pricing.document.sameDistrict : pricing.document.interDistrict;
+  } else {
+    const rates = pricing.nonDocument;
+    weightKg = Number(weight);
+    breakdown.base = isSameDistrict ? rates.sameDistrict : rates.interDistrict;
+
+    const extraKg = Math.max(0, Math.ceil(weightKg - rates.includedWeightKg));
+    if (extraKg > 0) {
+      breakdown.extraWeight = extraKg * rates.perExtraKg;
+      if (!isSameDistrict) breakdown.interDistrictSurcharge = rates.interDistrictSurcharge;
+    }
+  }
+
+  const total = roundMoney(breakdown.base + breakdown.extraWeight + breakdown.interDistrictSurcharge, currency);
+
+  return {
+    parcelType: type,
+    weightKg,
+    senderDistrict,
+    receiverDistrict,
+    isSameDistrict,
+    breakdown,
+    total,
+    currency,
+    amountMinor: toMinorUnits(total, currency),
+    quotedAt: new Date(),
+  };
+};
+
+// What to charge for a stored quote, in minor units (quotes made before currencies were
+// configurable only have amountInCents)
+export const quoteAmountMinor = (quote) => quote?.amountMinor ?? quote?.amountInCents;
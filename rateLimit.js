@@ -0,0 +1,91 @@
+// rateLimit.js (per-route request budgets, keyed by Firebase uid or client IP)
+import { TooManyRequestsError } from "./errors.js";
+
+// Budgets per route group. `by: "uid"` counts per signed-in user and falls back to the IP
+// when there is no token, so mount those limiters after verifyToken.
+export const RATE_LIMITS = {
+  api: { windowMs: 60 * 1000, max: 300, by: "ip" }, // every route except the Stripe webhook
+  signIn: { windowMs: 60 * 1000, max: 20, by: "ip" }, // POST /users
+  roleLookup: { windowMs: 60 * 1000, max: 30, by: "ip" }, // GET /users/role
+  userSearch: { windowMs: 60 * 1000, max: 30, by: "uid" },
+  quote: { windowMs: 60 * 1000, max: 60, by: "ip" },
+  tracking: { windowMs: 60 * 1000, max: 60, by: "ip" }, // public tracking page
+  paymentIntent: { windowMs: 15 * 60 * 1000, max: 20, by: "uid" }, // each call creates a Stripe intent
+  riderLocation: { windowMs: 60 * 1000, max: 30, by: "uid" }, // apps push every few seconds
+  bulkImport: { windowMs: 60 * 60 * 1000, max: 20, by: "uid" }, // up to MAX_BULK_ROWS parcels each
+};
+
+// Stores implement:
+//   hit(key, windowMs) -> { count, resetAt }   (count includes this hit, resetAt in ms since epoch)
+// The memory store is per process. On serverless every instance keeps its own counts, so plug in
+// a shared store (Redis, MongoDB...) when a budget has to hold across instances.
+export const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const windows = new Map();
+  let nextSweep = Date.now() + sweepIntervalMs;
+
+  // Drop finished windows now and then instead of running a timer
+  const sweep = (now) => {
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+    nextSweep = now + sweepIntervalMs;
+  };
+
+  return {
+    windows,
+    async hit(key, windowMs) {
+      const now = Date.now();
+      if (now >= nextSweep) sweep(now);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+};
+
+// rateLimit("tracking") -> middleware. Limited requests get a 429 with Retry-After.
+export const createRateLimiter = ({ store = createMemoryStore(), limits = RATE_LIMITS } = {}) => (name) => {
+  const limit = limits[name];
+  if (!limit) throw new Error(`Unknown rate limit: ${name}`);
+
+  return async (req, res, next) => {
+    const uid = limit.by === "uid" ? req.decoded?.uid : null;
+    const key = `${name}:${uid ? `uid:${uid}` : `ip:${req.ip}`}`;
+
+    let hit;
+    try {
+      hit = await store.hit(key, limit.windowMs);
+    } catch (err) {
+      // A broken store should not take the API down with it
+      console.warn(`⚠️ Rate limit store failed (${name}):`, err.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(1, Math.ceil((hit.resetAt - Date.now()) / 1000));
+    res.set("RateLimit-Limit", String(limit.max));
+    res.set("RateLimit-Remaining", String(Math.max(0, limit.max - hit.count)));
+    res.set("RateLimit-Reset", String(resetSeconds));
+
+    if (hit.count > limit.max) {
+      throw new TooManyRequestsError(`Too many requests. Try again in ${resetSeconds}s.`, {
+        code: "RATE_LIMITED",
+        retryAfter: resetSeconds,
+      });
+    }
+    next();
+  };
+};
+
+// TRUST_PROXY accepts what Express's "trust proxy" setting does: a hop count, true/false or
+// comma-separated addresses. Vercel always sits one proxy in front of the app.
+export const parseTrustProxy = (value = process.env.TRUST_PROXY) => {
+  if (value === undefined || value === "") return process.env.VERCEL ? 1 : false;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+};
@@ -0,0 +1,164 @@
+// riderLedger.js (append-only rider earnings ledger + cash-outs)
+import { PARCEL_CURRENCY, LEGACY_CURRENCY, roundMoney } from "./currency.js";
+
+export const LEDGER_TYPES = { EARNING: "earning", CASHOUT: "cashout" };
+export const CASHOUT_STATUS = { PENDING: "Pending", APPROVED: "Approved", REJECTED: "Rejected" };
+
+// Entries are in major units of their own currency; older ones have none and were in USD
+const currencyOf = { $toLower: { $ifNull: ["$currency", LEGACY_CURRENCY] } };
+
+// Called from initDbOnce. The partial unique indexes are what make the ledger safe:
+// one earning per parcel, one payout entry per cash-out, one pending request per rider.
+export async function ensureLedgerIndexes(db) {
+  const ledgerCollection = db.collection("rider_ledger");
+  const cashoutsCollection = db.collection("rider_cashouts");
+
+  await ledgerCollection.createIndex({ riderEmail: 1, createdAt: -1 });
+  await ledgerCollection.createIndex(
+    { parcelId: 1 },
+    { unique: true, partialFilterExpression: { type: LEDGER_TYPES.EARNING } }
+  );
+  await ledgerCollection.createIndex(
+    { cashoutId: 1 },
+    { unique: true, partialFilterExpression: { type: LEDGER_TYPES.CASHOUT } }
+  );
+  await cashoutsCollection.createIndex({ riderEmail: 1, requestedAt: -1 });
+  await cashoutsCollection.createIndex(
+    { riderEmail: 1 },
+    { unique: true, partialFilterExpression: { status: CASHOUT_STATUS.PENDING } }
+  );
+}
+
+// Credit a delivered parcel to its rider. Returns null when it was already credited.
+export async function creditDeliveryEarning(db, parcel, amount, currency) {
+  const entry = {
+    type: LEDGER_TYPES.EARNING,
+    riderEmail: parcel.assignedRiderEmail,
+    riderId: parcel.assignedRiderId || null,
+    parcelId: parcel._id,
+    amount: roundMoney(amount, currency),
+    currency,
+    createdAt: new Date(),
+  };
+
+  try {
+    await db.collection("rider_ledger").insertOne(entry);
+    return entry;
+  } catch (err) {
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+}
+
+// Record an approved cash-out as a negative ledger entry
+export async function debitCashout(db, cashout) {
+  const entry = {
+    type: LEDGER_TYPES.CASHOUT,
+    riderEmail: cashout.riderEmail,
+    cashoutId: cashout._id,
+    amount: -roundMoney(cashout.amount, cashout.currency || LEGACY_CURRENCY),
+    currency: cashout.currency || LEGACY_CURRENCY,
+    createdAt: new Date(),
+  };
+
+  try {
+    await db.collection("rider_ledger").insertOne(entry);
+    return entry;
+  } catch (err) {
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+}
+
+// Balances per currency, one entry each: earned / cashedOut come from the ledger, pending is what
+// is requested but not yet approved. Amounts in different currencies are never added together.
+export async function getRiderBalances(db, riderEmail) {
+  const ledger = await db
+    .collection("rider_ledger")
+    .aggregate([
+      { $match: { riderEmail } },
+      {
+        $group: {
+          _id: currencyOf,
+          earned: { $sum: { $cond: [{ $eq: ["$type", LEDGER_TYPES.EARNING] }, "$amount", 0] } },
+          cashedOut: { $sum: { $cond: [{ $eq: ["$type", LEDGER_TYPES.CASHOUT] }, { $abs: "$amount" }, 0] } },
+          deliveries: { $sum: { $cond: [{ $eq: ["$type", LEDGER_TYPES.EARNING] }, 1, 0] } },
+        },
+      },
+    ])
+    .toArray();
+
+  const pending = await db
+    .collection("rider_cashouts")
+    .aggregate([
+      { $match: { riderEmail, status: CASHOUT_STATUS.PENDING } },
+      { $group: { _id: currencyOf, amount: { $sum: "$amount" } } },
+    ])
+    .toArray();
+
+  const currencies = [...new Set([...ledger, ...pending].map((row) => row._id))].sort();
+  return currencies.map((currency) => {
+    const totals = ledger.find((row) => row._id === currency);
+    const earned = roundMoney(totals?.earned || 0, currency);
+    const cashedOut = roundMoney(totals?.cashedOut || 0, currency);
+    const pendingCashout = roundMoney(pending.find((row) => row._id === currency)?.amount || 0, currency);
+
+    return {
+      currency,
+      deliveries: totals?.deliveries || 0,
+      earned,
+      cashedOut,
+      pendingCashout,
+      available: roundMoney(earned - cashedOut - pendingCashout, currency),
+    };
+  });
+}
+
+export const emptyBalance = (currency) => ({ currency, deliveries: 0, earned: 0, cashedOut: 0, pendingCashout: 0, available: 0 });
+
+// The balance in one currency (zeros when the rider has none in it)
+export async function getRiderBalance(db, riderEmail, currency = PARCEL_CURRENCY) {
+  const balances = await getRiderBalances(db, riderEmail);
+  return balances.find((balance) => balance.currency === currency) || emptyBalance(currency);
+}
+
+// Earnings grouped per day (last 30), week (last 12) and month (last 12), one point per currency
+export async function getEarningsSeries(db, riderEmail, now = new Date()) {
+  const since = new Date(now);
+  since.setUTCMonth(since.getUTCMonth() - 12);
+
+  const bucket = (unit, limit) => [
+    {
+      $group: {
+        _id: { period: { $dateTrunc: { date: "$createdAt", unit, startOfWeek: "monday" } }, currency: currencyOf },
+        amount: { $sum: "$amount" },
+        deliveries: { $sum: 1 },
+      },
+    },
+    // Regroup per period so the limit counts periods, not period/currency pairs
+    { $sort: { "_id.currency": 1 } },
+    { $group: { _id: "$_id.period", points: { $push: { currency: "$_id.currency", amount: "$amount", deliveries: "$deliveries" } } } },
+    { $sort: { _id: -1 } },
+    { $limit: limit },
+    { $unwind: "$points" },
+    {
+      $project: {
+        _id: 0,
+        period: "$_id",
+        currency: "$points.currency",
+        amount: { $round: ["$points.amount", 3] },
+        deliveries: "$points.deliveries",
+      },
+    },
+  ];
+
+  const [series] = await db
+    .collection("rider_ledger")
+    .aggregate([
+      { $match: { riderEmail, type: LEDGER_TYPES.EARNING, createdAt: { $gte: since } } },
+      { $facet: { byDay: bucket("day", 30), byWeek: bucket("week", 12), byMonth: bucket("month", 12) } },
+    ])
+    .toArray();
+
+  return series || { byDay: [], byWeek: [], byMonth: [] };
+}
@@ -0,0 +1,90 @@
+// riderStatus.js (rider application lifecycle)
+
+export const RIDER_STATUS = {
+  PENDING: "pending",
+  ACTIVE: "active",
+  REJECTED: "rejected",
+  SUSPENDED: "suspended",
+};
+
+const S = RIDER_STATUS;
+
+// Admin decisions allowed from each status. A rejected applicant re-applies through POST /riders
+// instead; suspension keeps the rider document (and its deliveries/earnings) but takes them out
+// of dispatch until they are reinstated.
+const TRANSITIONS = {
+  [S.PENDING]: [S.ACTIVE, S.REJECTED],
+  [S.ACTIVE]: [S.SUSPENDED],
+  [S.SUSPENDED]: [S.ACTIVE, S.REJECTED],
+  [S.REJECTED]: [],
+};
+
+// Decisions that must say why; the reason is shown to the rider
+export const REASON_REQUIRED = [S.REJECTED, S.SUSPENDED];
+
+// User role that goes with each status. Suspended riders stay riders so they can still see their
+// history and cash out what they earned; dispatch skips them because they are not active.
+export const ROLE_FOR_STATUS = {
+  [S.PENDING]: "user",
+  [S.ACTIVE]: "rider",
+  [S.SUSPENDED]: "rider",
+  [S.REJECTED]: "user",
+};
+
+// How long a rejected applicant waits before applying again
+export const REAPPLY_COOLDOWN_DAYS = Number(process.env.RIDER_REAPPLY_COOLDOWN_DAYS) || 30;
+
+// Riders approved before the lifecycle existed say "approved", and some old documents are capitalised
+const ALIASES = {
+  pending: S.PENDING,
+  active: S.ACTIVE,
+  approved: S.ACTIVE,
+  rejected: S.REJECTED,
+  suspended: S.SUSPENDED,
+};
+
+// Canonical rider status for a stored value, or null when the value isn't a rider status
+export const normalizeRiderStatus = (status) => {
+  if (typeof status !== "string") return null;
+  return ALIASES[status.trim().toLowerCase()] || null;
+};
+
+// Every stored value meaning `status` (e.g. active -> active, Active, approved, Approved), for $in
+// filters that must also match old rider documents
+export const riderStatusSpellings = (status) =>
+  Object.keys(ALIASES)
+    .filter((alias) => ALIASES[alias] === status)
+    .flatMap((alias) => [alias, alias[0].toUpperCase() + alias.slice(1)]);
+
+export const canTransitionRider = (from, to) =>
+  (TRANSITIONS[normalizeRiderStatus(from) || S.PENDING] || []).includes(normalizeRiderStatus(to));
+
+// Why this user cannot file a new application over their existing one, or null when they can.
+// Returns { message, code, reapplyAfter? }.
+export const getReapplyBlock = (rider, now = new Date()) => {
+  const status = normalizeRiderStatus(rider.status) || S.PENDING;
+
+  if (status === S.PENDING) {
+    return { message: "You already have a rider application under review", code: "APPLICATION_PENDING" };
+  }
+  if (status === S.ACTIVE) {
+    return { message: "You are already a rider", code: "ALREADY_RIDER" };
+  }
+  if (status === S.SUSPENDED) {
+    return { message: "Your rider account is suspended; please contact support", code: "RIDER_SUSPENDED" };
+  }
+
+  if (rider.reapplyAllowed === false) {
+    return { message: "Your rider application was rejected and cannot be resubmitted", code: "REAPPLY_NOT_ALLOWED" };
+  }
+  const rejectedAt = new Date(rider.rejectedAt || rider.reviewedAt || rider.createdAt || 0);
+  const reapplyAfter = new Date(rejectedAt.getTime() + REAPPLY_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+  if (now < reapplyAfter) {
+    return {
+      message: `You can apply again after ${reapplyAfter.toISOString().slice(0, 10)}`,
+      code: "REAPPLY_TOO_SOON",
+      reapplyAfter,
+    };
+  }
+  return null;
+};
@@ -0,0 +1,86 @@
+// routes/analytics.js (admin dashboard analytics)
+// All take ?from=&to=, time series also ?interval=day|week|month
+import express from "express";
+import {
+  parseRange,
+  parcelsByStatus,
+  parcelsByDistrict,
+  revenueOverTime,
+  deliveryTimes,
+  topRiders,
+  signupsOverTime,
+} from "../analytics.js";
+import { paymentTotalsByCurrency, CHARGED_STATUSES } from "../payments.js";
+import { PARCEL_CURRENCY, normalizeCurrency, roundMoney } from "../currency.js";
+import { ValidationError } from "../errors.js";
+
+export const createAnalyticsRouter = ({ getDb, guards }) => {
+  const { verifyToken, verifyAdmin } = guards;
+  const router = express.Router();
+
+  router.get("/admin/analytics/parcels/status", verifyToken, verifyAdmin, async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) throw new ValidationError(range.error);
+
+    const db = await getDb();
+    const data = await parcelsByStatus(db, range);
+    res.status(200).json({ success: true, range, data });
+  });
+
+  // ?side=sender|receiver picks which district a parcel counts toward
+  router.get("/admin/analytics/parcels/district", verifyToken, verifyAdmin, async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) throw new ValidationError(range.error);
+
+    const db = await getDb();
+    const data = await parcelsByDistrict(db, range, req.query.side);
+    res.status(200).json({ success: true, range, data });
+  });
+
+  // Series for ?currency (default PARCEL_CURRENCY); totalsByCurrency covers every currency in the range
+  router.get("/admin/analytics/revenue", verifyToken, verifyAdmin, async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) throw new ValidationError(range.error);
+    const currency = req.query.currency ? normalizeCurrency(req.query.currency) : PARCEL_CURRENCY;
+    if (!currency) throw new ValidationError("currency must be a 3-letter ISO code (e.g. bdt)");
+
+    const db = await getDb();
+    const [data, totalsByCurrency] = await Promise.all([
+      revenueOverTime(db, range, currency),
+      paymentTotalsByCurrency(db, { createdAt: { $gte: range.from, $lte: range.to }, status: { $in: CHARGED_STATUSES } }),
+    ]);
+    const total = roundMoney(data.reduce((sum, point) => sum + point.revenue, 0), currency);
+    res.status(200).json({ success: true, range, currency, total, totalsByCurrency, data });
+  });
+
+  router.get("/admin/analytics/delivery-time", verifyToken, verifyAdmin, async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) throw new ValidationError(range.error);
+
+    const db = await getDb();
+    const { series, ...summary } = await deliveryTimes(db, range);
+    res.status(200).json({ success: true, range, ...summary, data: series });
+  });
+
+  router.get("/admin/analytics/top-riders", verifyToken, verifyAdmin, async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) throw new ValidationError(range.error);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    const db = await getDb();
+    const data = await topRiders(db, range, limit);
+    res.status(200).json({ success: true, range, data });
+  });
+
+  router.get("/admin/analytics/signups", verifyToken, verifyAdmin, async (req, res) => {
+    const range = parseRange(req.query);
+    if (range.error) throw new ValidationError(range.error);
+
+    const db = await getDb();
+    const data = await signupsOverTime(db, range);
+    const total = data.reduce((sum, point) => sum + point.signups, 0);
+    res.status(200).json({ success: true, range, total, data });
+  });
+
+  return router;
+};
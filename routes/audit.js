@@ -0,0 +1,35 @@
+// routes/audit.js (admin view of the audit log)
+import express from "express";
+import { AUDIT_ACTIONS } from "../audit.js";
+import { parseListQuery, paginate, dateRangeFilter, equalsIgnoreCase } from "../pagination.js";
+import { ValidationError } from "../errors.js";
+
+export const createAuditRouter = ({ getDb, guards }) => {
+  const { verifyToken, verifyAdmin } = guards;
+  const router = express.Router();
+
+  // Audit log, newest first. Filters: action, actorEmail, targetType, targetId, from/to (createdAt)
+  router.get("/admin/audit-logs", verifyToken, verifyAdmin, async (req, res) => {
+    const { action, actorEmail, targetType, targetId } = req.query;
+    const list = parseListQuery(req.query, { sortFields: ["createdAt"], defaultSort: "createdAt" });
+    const createdRange = dateRangeFilter("createdAt", req.query);
+    const error = list.error || createdRange?.error;
+    if (error) throw new ValidationError(error);
+
+    const actions = Object.values(AUDIT_ACTIONS);
+    if (action && !actions.includes(action)) {
+      throw new ValidationError(`action must be one of: ${actions.join(", ")}`);
+    }
+
+    const filter = { ...createdRange };
+    if (action) filter.action = action;
+    if (actorEmail) filter["actor.email"] = equalsIgnoreCase(actorEmail);
+    if (targetType) filter["target.type"] = String(targetType).toLowerCase();
+    if (targetId) filter["target.id"] = String(targetId);
+
+    const db = await getDb();
+    res.status(200).json(await paginate(db.collection("audit_logs"), filter, list));
+  });
+
+  return router;
+};
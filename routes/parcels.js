@@ -0,0 +1,858 @@
+// routes/parcels.js (booking, cancellation, assignment and delivery of parcels)
+import express from "express";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { ObjectId } from "mongodb";
+import { isAdmin, isSelfOrAdmin, canAccessParcel } from "../verifyRole.js";
+import { logTrackingEvent, actorFromRequest } from "../tracking.js";
+import { PARCEL_STATUS, normalizeStatus, canTransition } from "../parcelStatus.js";
+import { quoteParcel, getQuoteError, quoteInputFrom, quoteAmountMinor } from "../pricing.js";
+import { LEGACY_CURRENCY, parcelCurrency, decimalsOf, fromMinorUnits, formatMoney } from "../currency.js";
+import { validateBody, parcelSchema } from "../validation.js";
+import { parseListQuery, paginate, dateRangeFilter, equalsIgnoreCase } from "../pagination.js";
+import {
+  ASSIGNMENT_STATUS,
+  WORK_STATUS,
+  getUnavailableReason,
+  assignParcelToRider,
+  dispatchParcel,
+  releaseRiderIfIdle,
+  returnToPool,
+  expireStaleOffers,
+} from "../dispatch.js";
+import {
+  HIDDEN_PARCEL_FIELDS,
+  MAX_CODE_ATTEMPTS,
+  CODE_LOCK_MINUTES,
+  checkDeliveryCode,
+  decodeImage,
+  applyDeliveredEffects,
+} from "../delivery.js";
+import { notify } from "../notifications.js";
+import { recordRefund } from "../payments.js";
+import { recordAudit, AUDIT_ACTIONS } from "../audit.js";
+import { MAX_BULK_ROWS, validateParcel, createParcel, parcelFromCsvRecord } from "../parcels.js";
+import { csvToObjects, toCsvRow } from "../csv.js";
+import {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  UpstreamError,
+  toObjectId,
+} from "../errors.js";
+
+// --- CSV exports for accounting. Money columns are in major units of the row's currency; the rest
+// are stored values.
+const money = (minor, currency) =>
+  typeof minor === "number" ? fromMinorUnits(minor, currency).toFixed(decimalsOf(currency)) : "";
+
+const CSV_EXPORTS = {
+  parcels: {
+    collection: "parcels",
+    filter: ({ email, status, paymentStatus, district }) => {
+      const query = {};
+      if (email) query.createdByEmail = email;
+      if (status) query.status = normalizeStatus(status) || String(status);
+      if (paymentStatus) query.paymentStatus = equalsIgnoreCase(paymentStatus);
+      if (district) query.$or = [{ senderDistrict: equalsIgnoreCase(district) }, { receiverDistrict: equalsIgnoreCase(district) }];
+      return query;
+    },
+    columns: {
+      trackingId: (p) => p.trackingId,
+      createdAt: (p) => p.createdAt,
+      createdByEmail: (p) => p.createdByEmail,
+      status: (p) => p.status,
+      paymentStatus: (p) => p.paymentStatus,
+      parcelType: (p) => p.parcelType,
+      title: (p) => p.title,
+      weight: (p) => p.weight,
+      senderName: (p) => p.senderName,
+      senderPhone: (p) => p.senderPhone,
+      senderDistrict: (p) => p.senderDistrict,
+      receiverName: (p) => p.receiverName,
+      receiverPhone: (p) => p.receiverPhone,
+      receiverDistrict: (p) => p.receiverDistrict,
+      deliveryCost: (p) => p.deliveryCost,
+      currency: (p) => parcelCurrency(p),
+      amountRefunded: (p) => money(p.amountRefunded, parcelCurrency(p)),
+      assignedRiderEmail: (p) => p.assignedRiderEmail,
+      riderEarning: (p) => p.riderEarning,
+      deliveredAt: (p) => p.deliveredAt,
+    },
+  },
+  payments: {
+    collection: "payments",
+    filter: ({ email, status }) => {
+      const query = {};
+      if (email) query.payerEmail = email;
+      if (status) query.status = equalsIgnoreCase(status);
+      return query;
+    },
+    columns: {
+      paymentIntentId: (p) => p.paymentIntentId,
+      createdAt: (p) => p.createdAt,
+      parcelId: (p) => p.parcelId,
+      payerEmail: (p) => p.payerEmail,
+      status: (p) => p.status,
+      amount: (p) => money(p.amount, p.currency || LEGACY_CURRENCY),
+      amountRefunded: (p) => money(p.amountRefunded ?? 0, p.currency || LEGACY_CURRENCY),
+      currency: (p) => p.currency || LEGACY_CURRENCY,
+      paymentMethod: (p) => p.paymentMethod,
+      paidAt: (p) => p.paidAt,
+      refundedAt: (p) => p.refundedAt,
+    },
+  },
+};
+
+export const createParcelsRouter = ({ getDb, stripe, storage, guards }) => {
+  const { verifyToken, verifyRole, verifyAdmin, verifyRider, verifyUser, rateLimit } = guards;
+  const router = express.Router();
+
+  // Get parcels (optionally by createdByEmail; all parcels for admins only)
+  // Filters: status, paymentStatus, district (sender or receiver), from/to (createdAt)
+  router.get("/parcels", verifyToken, verifyUser, async (req, res) => {
+    const { email, status, paymentStatus, district } = req.query;
+    if (!isSelfOrAdmin(req, email)) {
+      throw new ForbiddenError("Forbidden access: You can only view your own parcels");
+    }
+    const list = parseListQuery(req.query, { sortFields: ["createdAt", "updatedAt", "deliveryCost", "status"], defaultSort: "createdAt" });
+    const createdRange = dateRangeFilter("createdAt", req.query);
+    const error = list.error || createdRange?.error;
+    if (error) throw new ValidationError(error);
+
+    const query = { ...createdRange };
+    if (email) query.createdByEmail = email;
+    if (status) query.status = normalizeStatus(status) || String(status);
+    if (paymentStatus) query.paymentStatus = equalsIgnoreCase(paymentStatus);
+    if (district) query.$or = [{ senderDistrict: equalsIgnoreCase(district) }, { receiverDistrict: equalsIgnoreCase(district) }];
+
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+
+    res.status(200).json(await paginate(parcelsCollection, query, list, { projection: HIDDEN_PARCEL_FIELDS }));
+  });
+
+  // Accounting export: a CSV of parcels (?type=parcels, default) or payments (?type=payments), streamed
+  // straight from the cursor. Filters: from/to (createdAt), email, status; parcels also paymentStatus, district.
+  router.get("/parcels/export", verifyToken, verifyAdmin, async (req, res) => {
+    const { type = "parcels" } = req.query;
+    const spec = CSV_EXPORTS[type];
+    if (!spec) {
+      throw new ValidationError(`type must be one of: ${Object.keys(CSV_EXPORTS).join(", ")}`);
+    }
+    const createdRange = dateRangeFilter("createdAt", req.query);
+    if (createdRange?.error) throw new ValidationError(createdRange.error);
+
+    const db = await getDb();
+    const cursor = db
+      .collection(spec.collection)
+      .find({ ...createdRange, ...spec.filter(req.query) })
+      .sort({ createdAt: -1, _id: -1 });
+
+    const columns = Object.entries(spec.columns);
+    async function* rows() {
+      yield toCsvRow(columns.map(([header]) => header));
+      for await (const doc of cursor) {
+        yield toCsvRow(columns.map(([, value]) => value(doc)));
+      }
+    }
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${type}-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.set("Cache-Control", "no-store");
+    try {
+      await pipeline(Readable.from(rows()), res);
+    } catch (err) {
+      // The client went away mid-download; the cursor is already closed
+      if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") throw err;
+    } finally {
+      await cursor.close();
+    }
+  });
+
+  // Get parcel by id
+  router.get("/parcels/:id", verifyToken, verifyUser, async (req, res) => {
+    const { id } = req.params;
+    const _id = toObjectId(id, "parcel ID");
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+
+    const parcel = await parcelsCollection.findOne({ _id }, { projection: HIDDEN_PARCEL_FIELDS });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!canAccessParcel(req, parcel)) {
+      throw new ForbiddenError("Forbidden access: Not your parcel");
+    }
+
+    res.status(200).json({ success: true, message: "Parcel retrieved successfully", data: parcel });
+  });
+
+  // Quote delivery cost (public price calculator)
+  router.post("/parcels/quote", rateLimit("quote"), async (req, res) => {
+    const input = quoteInputFrom(req.body);
+    const quoteError = getQuoteError(input);
+    if (quoteError) {
+      throw new ValidationError(quoteError);
+    }
+
+    res.status(200).json({ success: true, data: quoteParcel(input) });
+  });
+
+  // Create parcel
+  router.post("/parcels", verifyToken, validateBody(parcelSchema), async (req, res) => {
+    const quoteError = getQuoteError(quoteInputFrom(req.body));
+    if (quoteError) {
+      throw new ValidationError(quoteError);
+    }
+
+    const db = await getDb();
+    const created = await createParcel(db, req.body, { createdByEmail: req.decoded.email, actor: actorFromRequest(req) });
+    // The plain delivery code is returned only here, for the sender to share with the receiver
+    res.status(201).json({ success: true, message: "Parcel added successfully", data: { acknowledged: true, ...created } });
+  });
+
+  // Bulk booking for business customers. Send the file as Content-Type: text/csv (header row of
+  // parcel field names, one parcel per line) or a JSON array / { parcels: [...] }. Every row is validated;
+  // the valid ones are booked and the rest come back in a per-row error report (row 1 = first parcel).
+  // ?dryRun=true only validates.
+  router.post("/parcels/bulk", verifyToken, rateLimit("bulkImport"), async (req, res) => {
+    let rows;
+    if (typeof req.body === "string") {
+      const { records, error } = csvToObjects(req.body);
+      if (error) throw new ValidationError(`Invalid CSV: ${error}`);
+      rows = records.map(parcelFromCsvRecord);
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body?.parcels;
+    }
+    if (!Array.isArray(rows) || !rows.length) {
+      throw new ValidationError("Send a CSV file (Content-Type: text/csv) or a JSON array of parcels");
+    }
+    if (rows.length > MAX_BULK_ROWS) {
+      throw new ValidationError(`At most ${MAX_BULK_ROWS} parcels per upload (got ${rows.length})`);
+    }
+
+    const checked = rows.map((row, i) => ({ row: i + 1, ...validateParcel(row) }));
+    const errors = checked.flatMap(({ row, errors }) => errors.map((error) => ({ row, ...error })));
+    const valid = checked.filter((row) => !row.errors.length);
+    if (!valid.length) {
+      throw new ValidationError("No valid parcels in the upload", { errors });
+    }
+
+    if (req.query.dryRun === "true") {
+      return res.status(200).json({
+        success: true,
+        message: `${valid.length} of ${rows.length} parcels are valid`,
+        data: { total: rows.length, valid: valid.length, created: [], errors },
+      });
+    }
+
+    const db = await getDb();
+    const options = { createdByEmail: req.decoded.email, actor: actorFromRequest(req) };
+    const created = [];
+    for (const { row, value } of valid) {
+      created.push({ row, ...(await createParcel(db, value, options)) });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} of ${rows.length} parcels created`,
+      data: { total: rows.length, valid: valid.length, created, errors },
+    });
+  });
+
+  // Cancel parcel (owner or admin) and refund it if it was paid
+  router.post("/parcels/:id/cancel", verifyToken, verifyUser, async (req, res) => {
+    const { id } = req.params;
+    // Partial refund amount in minor units of the parcel's currency (amountInCents from older clients)
+    const { reason = "", amountMinor = req.body?.amountInCents } = req.body || {};
+    const _id = toObjectId(id, "parcel ID");
+
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+    const paymentsCollection = db.collection("payments");
+
+    const parcel = await parcelsCollection.findOne({ _id });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!isSelfOrAdmin(req, parcel.createdByEmail)) {
+      throw new ForbiddenError("Forbidden access: Not your parcel");
+    }
+    if (!canTransition(parcel.status, PARCEL_STATUS.CANCELLED, isAdmin(req) ? "admin" : "user")) {
+      throw new ConflictError(
+        `Parcel can no longer be cancelled (status '${normalizeStatus(parcel.status) || parcel.status}')`,
+        { code: "INVALID_STATUS_TRANSITION" }
+      );
+    }
+
+    // Work out the refund before touching the parcel so a bad amount changes nothing
+    const isPaid = parcel.paymentStatus === "Paid" && !!parcel.paymentIntentId;
+    let refundAmount = null;
+    let payment = null;
+    if (isPaid) {
+      payment = await paymentsCollection.findOne({ paymentIntentId: parcel.paymentIntentId });
+      const paidAmount = payment?.amount ?? quoteAmountMinor(parcel.quote);
+      const refundable = paidAmount - (payment?.amountRefunded || 0);
+
+      refundAmount = refundable;
+      if (amountMinor !== undefined) {
+        const requested = Number(amountMinor);
+        if (!isAdmin(req)) {
+          throw new ForbiddenError("Only admins can issue partial refunds");
+        }
+        if (!Number.isInteger(requested) || requested <= 0 || requested > refundable) {
+          throw new ValidationError(`amountMinor must be between 1 and ${refundable} (${formatMoney(refundable, parcelCurrency(parcel))})`);
+        }
+        refundAmount = requested;
+      }
+    }
+
+    // Claim the cancellation first; the status filter stops a concurrent pickup from racing us
+    const now = new Date();
+    const cancelResult = await parcelsCollection.updateOne(
+      { _id: parcel._id, status: parcel.status },
+      { $set: { status: PARCEL_STATUS.CANCELLED, cancelledAt: now, cancelReason: reason, updatedAt: now } }
+    );
+    if (cancelResult.matchedCount === 0) {
+      throw new ConflictError("Parcel status changed, please retry", { code: "CONCURRENT_UPDATE" });
+    }
+
+    let refund = null;
+    if (isPaid && refundAmount > 0) {
+      try {
+        refund = await stripe.refunds.create(
+          {
+            payment_intent: parcel.paymentIntentId,
+            amount: refundAmount,
+            reason: "requested_by_customer",
+            metadata: { parcelId: String(parcel._id), requestedBy: req.decoded.email || "" },
+          },
+          { idempotencyKey: `cancel-${parcel._id}-${refundAmount}` }
+        );
+      } catch (stripeError) {
+        // Put the parcel back so the customer can retry instead of being stuck cancelled-but-unrefunded
+        await parcelsCollection.updateOne(
+          { _id: parcel._id },
+          { $set: { status: parcel.status, updatedAt: new Date() }, $unset: { cancelledAt: "", cancelReason: "" } }
+        );
+        console.error("Stripe refund error:", stripeError);
+        throw new UpstreamError("Refund failed, parcel was not cancelled", { code: "REFUND_FAILED" });
+      }
+
+      await recordRefund(
+        db,
+        {
+          paymentIntentId: parcel.paymentIntentId,
+          amount: payment?.amount ?? quoteAmountMinor(parcel.quote),
+          amountRefunded: (payment?.amountRefunded || 0) + refund.amount,
+          currency: refund.currency,
+          parcelId: String(parcel._id),
+        },
+        { actor: actorFromRequest(req), note: `Refund ${refund.id} issued on cancellation` }
+      );
+
+      if (isAdmin(req)) {
+        await recordAudit(db, req, {
+          action: AUDIT_ACTIONS.PARCEL_REFUNDED,
+          target: { type: "parcel", id: parcel._id },
+          before: { status: parcel.status, amountRefunded: payment?.amountRefunded || 0 },
+          after: {
+            status: PARCEL_STATUS.CANCELLED,
+            amountRefunded: (payment?.amountRefunded || 0) + refund.amount,
+            refundId: refund.id,
+          },
+          note: reason,
+        });
+      }
+    }
+
+    await releaseRiderIfIdle(db, parcel.assignedRiderId);
+
+    await logTrackingEvent(db, parcel, {
+      status: PARCEL_STATUS.CANCELLED,
+      actor: actorFromRequest(req),
+      district: parcel.senderDistrict || null,
+      note: reason ? `Cancelled: ${reason}` : "Parcel cancelled",
+    });
+
+    await notify(db, "parcelCancelled", parcel.createdByEmail, { parcel, refund });
+    if (parcel.assignedRiderEmail) {
+      await notify(db, "parcelCancelled", parcel.assignedRiderEmail, { parcel });
+    }
+
+    const updated = await parcelsCollection.findOne({ _id: parcel._id });
+    res.status(200).json({
+      success: true,
+      message: refund ? "Parcel cancelled and refund issued" : "Parcel cancelled",
+      data: {
+        status: updated.status,
+        paymentStatus: updated.paymentStatus,
+        refund: refund ? { id: refund.id, amount: refund.amount, currency: refund.currency } : null,
+      },
+    });
+  });
+
+  // Load a parcel to (re)assign. An offer that has run out is back in the pool even if the worker
+  // hasn't expired it yet.
+  const findParcelToAssign = async (db, _id) => {
+    const parcel = await db.collection("parcels").findOne({ _id });
+    if (
+      parcel?.status === PARCEL_STATUS.ASSIGNED &&
+      parcel.assignmentStatus === ASSIGNMENT_STATUS.OFFERED &&
+      parcel.offerExpiresAt <= new Date()
+    ) {
+      await expireStaleOffers(db);
+      return db.collection("parcels").findOne({ _id });
+    }
+    return parcel;
+  };
+
+  // Assign rider to parcel (manual pick by an admin)
+  router.patch("/parcels/:id/assign", verifyToken, verifyAdmin, async (req, res) => {
+    const { id } = req.params;
+    const { riderId } = req.body;
+
+    if (!riderId) {
+      throw new ValidationError("Rider ID required");
+    }
+    const parcelId = toObjectId(id, "parcel ID");
+    const riderObjectId = toObjectId(riderId, "rider ID");
+
+    const db = await getDb();
+    const ridersCollection = db.collection("riders");
+
+    const existing = await findParcelToAssign(db, parcelId);
+    if (!existing) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!canTransition(existing.status, PARCEL_STATUS.ASSIGNED, "admin")) {
+      throw new ConflictError(
+        `Cannot assign a rider to a parcel that is '${normalizeStatus(existing.status) || existing.status}'`,
+        { code: "INVALID_STATUS_TRANSITION" }
+      );
+    }
+
+    // Name and email always come from the rider record, never the request body
+    const rider = await ridersCollection.findOne({ _id: riderObjectId });
+    if (!rider) {
+      throw new NotFoundError("Rider not found");
+    }
+    const unavailable = await getUnavailableReason(db, rider);
+    if (unavailable) {
+      throw new ConflictError(unavailable);
+    }
+
+    const result = await assignParcelToRider(db, existing, rider, { actor: actorFromRequest(req) });
+    if (result.conflict) {
+      throw new ConflictError("Parcel status changed, please retry", { code: "CONCURRENT_UPDATE" });
+    }
+
+    await recordAudit(db, req, {
+      action: AUDIT_ACTIONS.PARCEL_ASSIGNED,
+      target: { type: "parcel", id: existing._id },
+      before: { status: existing.status, assignedRiderEmail: existing.assignedRiderEmail || null },
+      after: { status: PARCEL_STATUS.ASSIGNED, assignedRiderEmail: rider.email },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Rider assigned and parcel marked Assigned",
+      data: { riderId: result.riderId, riderName: rider.name, riderEmail: rider.email },
+    });
+  });
+
+  // Auto-dispatch: pick the best free rider for a Paid parcel and record why
+  router.post("/parcels/:id/auto-assign", verifyToken, verifyAdmin, async (req, res) => {
+    const { id } = req.params;
+    const _id = toObjectId(id, "parcel ID");
+
+    const db = await getDb();
+    const parcel = await findParcelToAssign(db, _id);
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!canTransition(parcel.status, PARCEL_STATUS.ASSIGNED, "system")) {
+      throw new ConflictError(
+        `Cannot assign a rider to a parcel that is '${normalizeStatus(parcel.status) || parcel.status}'`,
+        { code: "INVALID_STATUS_TRANSITION" }
+      );
+    }
+
+    const result = await dispatchParcel(db, parcel, { actor: actorFromRequest(req) });
+    if (result.error) {
+      throw new ConflictError(result.error);
+    }
+
+    await recordAudit(db, req, {
+      action: AUDIT_ACTIONS.PARCEL_AUTO_ASSIGNED,
+      target: { type: "parcel", id: parcel._id },
+      before: { status: parcel.status, assignedRiderEmail: parcel.assignedRiderEmail || null },
+      after: { status: PARCEL_STATUS.ASSIGNED, assignedRiderEmail: result.rider.email },
+      note: result.reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Parcel auto-assigned to ${result.rider.name}`,
+      data: {
+        riderId: String(result.rider._id),
+        riderName: result.rider.name,
+        riderEmail: result.rider.email,
+        reason: result.reason,
+      },
+    });
+  });
+
+  // Load a parcel offered/assigned to the calling rider, or throw
+  const findRiderAssignment = async (req, db) => {
+    const parcel = await db.collection("parcels").findOne({ _id: toObjectId(req.params.id, "parcel ID") });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (parcel.assignedRiderEmail !== req.decoded.email) {
+      throw new ForbiddenError("Forbidden access: Parcel is not assigned to you");
+    }
+    if (parcel.status !== PARCEL_STATUS.ASSIGNED) {
+      throw new ConflictError(`Parcel is already '${parcel.status}'`, { code: "INVALID_STATUS_TRANSITION" });
+    }
+    return parcel;
+  };
+
+  // Rider accepts an assignment offer (before it expires)
+  router.post("/parcels/:id/accept", verifyToken, verifyRole("rider"), async (req, res) => {
+    const db = await getDb();
+    const parcel = await findRiderAssignment(req, db);
+
+    const now = new Date();
+    if (parcel.assignmentStatus === ASSIGNMENT_STATUS.OFFERED && parcel.offerExpiresAt && parcel.offerExpiresAt <= now) {
+      await expireStaleOffers(db, now);
+      throw new ConflictError("This offer has expired");
+    }
+
+    const result = await db.collection("parcels").updateOne(
+      { _id: parcel._id, status: PARCEL_STATUS.ASSIGNED, assignmentStatus: ASSIGNMENT_STATUS.OFFERED, offerExpiresAt: { $gt: now } },
+      { $set: { assignmentStatus: ASSIGNMENT_STATUS.ACCEPTED, acceptedAt: now, updatedAt: now }, $unset: { offerExpiresAt: "" } }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError("Assignment is no longer open for acceptance");
+    }
+
+    await db
+      .collection("riders")
+      .updateOne({ _id: new ObjectId(parcel.assignedRiderId) }, { $set: { workStatus: WORK_STATUS.DELIVERY } });
+    await logTrackingEvent(db, parcel, {
+      status: PARCEL_STATUS.ASSIGNED,
+      actor: actorFromRequest(req),
+      district: parcel.senderDistrict || null,
+      note: `Rider ${parcel.assignedRiderName || req.decoded.email} accepted the delivery`,
+    });
+
+    res.status(200).json({ success: true, message: "Assignment accepted" });
+  });
+
+  // Rider declines an assignment (offered or accepted, but not yet picked up); the parcel returns to the pool
+  router.post("/parcels/:id/decline", verifyToken, verifyRole("rider"), async (req, res) => {
+    const { reason = "" } = req.body || {};
+    const db = await getDb();
+    const parcel = await findRiderAssignment(req, db);
+
+    const returned = await returnToPool(db, parcel, {
+      actor: actorFromRequest(req),
+      note: `Rider ${parcel.assignedRiderName || req.decoded.email} declined${reason ? `: ${reason}` : ""}`,
+    });
+    if (!returned) {
+      throw new ConflictError("Parcel status changed, please retry", { code: "CONCURRENT_UPDATE" });
+    }
+
+    res.status(200).json({ success: true, message: "Assignment declined and parcel returned to the pool" });
+  });
+
+  // Rider confirms pickup: the only step that puts a parcel into transit
+  router.post("/parcels/:id/pickup", verifyToken, verifyRole("rider"), async (req, res) => {
+    const { note = "" } = req.body || {};
+    const db = await getDb();
+    const parcel = await findRiderAssignment(req, db);
+
+    if (parcel.assignmentStatus !== ASSIGNMENT_STATUS.ACCEPTED) {
+      throw new ConflictError("Accept the assignment before confirming pickup");
+    }
+
+    const now = new Date();
+    const result = await db.collection("parcels").updateOne(
+      { _id: parcel._id, status: PARCEL_STATUS.ASSIGNED, assignmentStatus: ASSIGNMENT_STATUS.ACCEPTED },
+      { $set: { status: PARCEL_STATUS.IN_TRANSIT, pickedUpAt: now, updatedAt: now } }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError("Parcel status changed, please retry", { code: "CONCURRENT_UPDATE" });
+    }
+
+    const actor = actorFromRequest(req);
+    await logTrackingEvent(db, parcel, {
+      status: PARCEL_STATUS.PICKED_UP,
+      actor,
+      district: parcel.senderDistrict || null,
+      note: note || "Picked up from sender",
+    });
+    await logTrackingEvent(db, parcel, {
+      status: PARCEL_STATUS.IN_TRANSIT,
+      actor,
+      district: parcel.senderDistrict || null,
+      note: `On the way to ${parcel.receiverDistrict || "the receiver"}`,
+    });
+
+    res.status(200).json({ success: true, message: "Pickup confirmed and parcel marked In-Transit" });
+  });
+
+  // Rider completes delivery with the receiver's code, optionally attaching a photo and/or signature
+  // (base64 data URLs). Wrong codes are counted; too many lock the parcel for a while.
+  router.post("/parcels/:id/deliver", verifyToken, verifyRole("rider"), async (req, res) => {
+    const { id } = req.params;
+    const { code, photo, signature, note = "", location = null } = req.body || {};
+    const _id = toObjectId(id, "parcel ID");
+    if (!code) {
+      throw new ValidationError("Delivery code is required");
+    }
+
+    // Check the attachments before the code so a bad upload doesn't burn an attempt
+    const images = {};
+    const errors = [];
+    for (const [field, dataUrl] of Object.entries({ photo, signature })) {
+      if (!dataUrl) continue;
+      const image = decodeImage(dataUrl);
+      if (image.error) errors.push({ field, message: image.error });
+      else images[field] = image;
+    }
+    if (errors.length) {
+      throw new ValidationError("Validation failed", { errors });
+    }
+    if (Object.keys(images).length && storage.available === false) {
+      throw new UpstreamError("Proof images can't be stored right now", { status: 503, code: "STORAGE_UNAVAILABLE" });
+    }
+
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+
+    const parcel = await parcelsCollection.findOne({ _id });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (parcel.assignedRiderEmail !== req.decoded.email) {
+      throw new ForbiddenError("Forbidden access: Parcel is not assigned to you");
+    }
+    if (parcel.status !== PARCEL_STATUS.IN_TRANSIT) {
+      throw new ConflictError(
+        `Only In-Transit parcels can be delivered (status '${parcel.status}')`,
+        { code: "INVALID_STATUS_TRANSITION" }
+      );
+    }
+    if (!parcel.deliveryCode?.hash) {
+      throw new ConflictError("This parcel has no delivery code; ask an admin to complete it");
+    }
+
+    const now = new Date();
+    const lockedUntil = parcel.deliveryCode.lockedUntil;
+    if (lockedUntil && lockedUntil > now) {
+      throw new TooManyRequestsError("Too many wrong codes. Try again later.", {
+        code: "DELIVERY_CODE_LOCKED",
+        retryAfter: Math.ceil((lockedUntil - now) / 1000),
+      });
+    }
+
+    if (!checkDeliveryCode(parcel.deliveryCode, code)) {
+      const updated = await parcelsCollection.findOneAndUpdate(
+        { _id: parcel._id },
+        { $inc: { "deliveryCode.failedAttempts": 1 }, $set: { "deliveryCode.lastFailedAt": now } },
+        { returnDocument: "after", projection: { "deliveryCode.failedAttempts": 1 } }
+      );
+      const attempts = updated.deliveryCode.failedAttempts;
+      const locked = attempts >= MAX_CODE_ATTEMPTS;
+      if (locked) {
+        await parcelsCollection.updateOne(
+          { _id: parcel._id },
+          {
+            $set: {
+              "deliveryCode.lockedUntil": new Date(now.getTime() + CODE_LOCK_MINUTES * 60 * 1000),
+              "deliveryCode.failedAttempts": 0,
+            },
+          }
+        );
+      }
+      await logTrackingEvent(db, parcel, {
+        status: parcel.status,
+        actor: actorFromRequest(req),
+        district: parcel.receiverDistrict || null,
+        location,
+        note: locked
+          ? `Delivery code rejected ${MAX_CODE_ATTEMPTS} times; locked for ${CODE_LOCK_MINUTES} min`
+          : `Delivery code rejected (attempt ${attempts} of ${MAX_CODE_ATTEMPTS})`,
+      });
+
+      if (locked) {
+        throw new TooManyRequestsError("Too many wrong codes. Try again later.", {
+          code: "DELIVERY_CODE_LOCKED",
+          retryAfter: CODE_LOCK_MINUTES * 60,
+        });
+      }
+      throw new ValidationError("Incorrect delivery code", {
+        code: "INVALID_DELIVERY_CODE",
+        details: { attemptsRemaining: MAX_CODE_ATTEMPTS - attempts },
+      });
+    }
+
+    const proof = { codeVerified: true, note, location, submittedAt: now, submittedBy: req.decoded.email };
+    for (const [field, image] of Object.entries(images)) {
+      const key = `proof-of-delivery/${parcel._id}/${field}-${now.getTime()}.${image.ext}`;
+      proof[field] = { ...(await storage.put(key, image.buffer, image.contentType)), contentType: image.contentType };
+    }
+
+    const result = await parcelsCollection.updateOne(
+      { _id: parcel._id, status: PARCEL_STATUS.IN_TRANSIT },
+      {
+        $set: { status: PARCEL_STATUS.DELIVERED, deliveredAt: now, updatedAt: now, proofOfDelivery: proof, "deliveryCode.usedAt": now },
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError("Parcel status changed, please retry", { code: "CONCURRENT_UPDATE" });
+    }
+
+    const riderEarning = await applyDeliveredEffects(db, parcel);
+    await logTrackingEvent(db, parcel, {
+      status: PARCEL_STATUS.DELIVERED,
+      actor: actorFromRequest(req),
+      district: parcel.receiverDistrict || null,
+      location,
+      note: ["Delivered, code verified", proof.photo && "photo", proof.signature && "signature"].filter(Boolean).join(" + "),
+    });
+
+    res.status(200).json({ success: true, message: "Parcel delivered", data: { riderEarning } });
+  });
+
+  // Download a proof-of-delivery image (photo | signature) for the parcel's owner, rider or an admin
+  router.get("/parcels/:id/proof/:kind", verifyToken, verifyUser, async (req, res) => {
+    const { id, kind } = req.params;
+    const _id = toObjectId(id, "parcel ID");
+    if (!["photo", "signature"].includes(kind)) {
+      throw new ValidationError("Invalid proof type");
+    }
+
+    const db = await getDb();
+    const parcel = await db.collection("parcels").findOne({ _id }, { projection: HIDDEN_PARCEL_FIELDS });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!canAccessParcel(req, parcel)) {
+      throw new ForbiddenError("Forbidden access: Not your parcel");
+    }
+
+    const stored = parcel.proofOfDelivery?.[kind];
+    const file = stored ? await storage.get(stored.key) : null;
+    if (!file) {
+      throw new NotFoundError(`No ${kind} on file for this parcel`);
+    }
+
+    res.set("Content-Type", file.contentType || stored.contentType);
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(file.body);
+  });
+
+  // Update parcel status
+  router.patch("/parcels/:id/status", verifyToken, verifyRider, async (req, res) => {
+    const { id } = req.params;
+    const { status, note = "", location = null, district } = req.body;
+
+    const _id = toObjectId(id, "parcel ID");
+    const nextStatus = normalizeStatus(status);
+    if (!nextStatus) {
+      throw new ValidationError(`Invalid status. Allowed: ${Object.values(PARCEL_STATUS).join(", ")}`);
+    }
+
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+
+    const parcel = await parcelsCollection.findOne({ _id });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!isAdmin(req) && parcel.assignedRiderEmail !== req.decoded.email) {
+      throw new ForbiddenError("Forbidden access: Parcel is not assigned to you");
+    }
+    if (!canTransition(parcel.status, nextStatus, req.role)) {
+      throw new ConflictError(
+        `Cannot move parcel from '${normalizeStatus(parcel.status) || parcel.status}' to '${nextStatus}'`,
+        { code: "INVALID_STATUS_TRANSITION" }
+      );
+    }
+
+    // Moves into and out of Assigned go through the assignment helpers so the rider fields and the
+    // rider's workStatus stay in step with the status
+    if (nextStatus === PARCEL_STATUS.ASSIGNED) {
+      throw new ConflictError("Pick a rider with PATCH /parcels/:id/assign or POST /parcels/:id/auto-assign", {
+        code: "INVALID_STATUS_TRANSITION",
+      });
+    }
+    if (nextStatus === PARCEL_STATUS.PAID && normalizeStatus(parcel.status) === PARCEL_STATUS.ASSIGNED) {
+      const returned = await returnToPool(db, parcel, {
+        actor: actorFromRequest(req),
+        note: note || `Unassigned from rider ${parcel.assignedRiderName || parcel.assignedRiderEmail} by an admin`,
+      });
+      if (!returned) {
+        throw new ConflictError("Parcel status changed, please retry", { code: "CONCURRENT_UPDATE" });
+      }
+      await recordAudit(db, req, {
+        action: AUDIT_ACTIONS.PARCEL_STATUS_OVERRIDDEN,
+        target: { type: "parcel", id: parcel._id },
+        before: { status: parcel.status, assignedRiderEmail: parcel.assignedRiderEmail || null },
+        after: { status: nextStatus, assignedRiderEmail: null },
+        note,
+      });
+      return res.status(200).json({ success: true, message: "Rider unassigned and parcel returned to the pool" });
+    }
+
+    const statusUpdate = { status: nextStatus, updatedAt: new Date() };
+    if (nextStatus === PARCEL_STATUS.PICKED_UP) statusUpdate.pickedUpAt = new Date();
+    if (nextStatus === PARCEL_STATUS.DELIVERED) statusUpdate.deliveredAt = new Date();
+
+    // Filter on the status we validated against so concurrent updates can't skip a step
+    const statusResult = await parcelsCollection.updateOne(
+      { _id: parcel._id, status: parcel.status },
+      { $set: statusUpdate }
+    );
+    if (statusResult.matchedCount === 0) {
+      throw new ConflictError("Parcel status changed, please retry", { code: "CONCURRENT_UPDATE" });
+    }
+
+    // Riders complete deliveries through POST /parcels/:id/deliver; this branch is the admin override
+    if (nextStatus === PARCEL_STATUS.DELIVERED) {
+      await applyDeliveredEffects(db, parcel);
+    }
+    if (nextStatus === PARCEL_STATUS.RETURNED) {
+      await releaseRiderIfIdle(db, parcel.assignedRiderId);
+    }
+
+    // Riders moving their own parcels are on the tracking timeline; admin overrides are audited too
+    if (isAdmin(req)) {
+      await recordAudit(db, req, {
+        action: AUDIT_ACTIONS.PARCEL_STATUS_OVERRIDDEN,
+        target: { type: "parcel", id: parcel._id },
+        before: { status: parcel.status },
+        after: { status: nextStatus },
+        note,
+      });
+    }
+
+    await logTrackingEvent(db, parcel, {
+      status: nextStatus,
+      actor: actorFromRequest(req),
+      district: district || (nextStatus === PARCEL_STATUS.DELIVERED ? parcel.receiverDistrict : parcel.riderDistrict) || null,
+      location,
+      note,
+    });
+
+    res.status(200).json({ success: true, message: "Parcel status updated successfully" });
+  });
+
+  return router;
+};
@@ -0,0 +1,202 @@
+// routes/payments.js (Stripe checkout and payment history)
+import express from "express";
+import { isSelfOrAdmin, canAccessParcel } from "../verifyRole.js";
+import { actorFromRequest } from "../tracking.js";
+import { PARCEL_STATUS, normalizeStatus } from "../parcelStatus.js";
+import { quoteParcel, getQuoteError, quoteInputFrom, quoteAmountMinor } from "../pricing.js";
+import { PARCEL_CURRENCY, normalizeCurrency, parcelCurrency } from "../currency.js";
+import { parseListQuery, paginate, dateRangeFilter, equalsIgnoreCase } from "../pagination.js";
+import { recordPaymentSucceeded, refundUnusablePayment, paymentMismatch, parcelFilterFromId, paymentTotalsByCurrency } from "../payments.js";
+import { recordAudit, AUDIT_ACTIONS } from "../audit.js";
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError, UpstreamError } from "../errors.js";
+
+export const createPaymentsRouter = ({ getDb, stripe, guards }) => {
+  const { verifyToken, verifyUser, verifyAdmin, rateLimit } = guards;
+  const router = express.Router();
+
+  // Create payment intent (Stripe)
+  // The amount always comes from the stored parcel quote; any client amount is ignored
+  router.post("/create-payment-intent", verifyToken, rateLimit("paymentIntent"), verifyUser, async (req, res) => {
+    const { parcelId } = req.body;
+    if (!parcelId) {
+      throw new ValidationError("parcelId is required");
+    }
+
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+
+    const parcel = await parcelsCollection.findOne(parcelFilterFromId(parcelId));
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!canAccessParcel(req, parcel)) {
+      throw new ForbiddenError("Forbidden access: Not your parcel");
+    }
+    if (parcel.paymentStatus === "Paid") {
+      throw new ConflictError("Parcel is already paid");
+    }
+    if (normalizeStatus(parcel.status) === PARCEL_STATUS.CANCELLED) {
+      throw new ConflictError("Parcel is cancelled", { code: "PARCEL_CANCELLED" });
+    }
+
+    // Parcels created before server-side pricing get quoted (and stored) now, in today's currency
+    let { quote } = parcel;
+    if (!quote) {
+      const currency = normalizeCurrency(parcel.currency) || PARCEL_CURRENCY;
+      const quoteError = getQuoteError(quoteInputFrom(parcel), { currency });
+      if (quoteError) {
+        throw new ValidationError(`Parcel cannot be priced: ${quoteError}`);
+      }
+      quote = quoteParcel(quoteInputFrom(parcel), { currency });
+      await parcelsCollection.updateOne(
+        { _id: parcel._id },
+        { $set: { quote, deliveryCost: quote.total, currency: quote.currency, updatedAt: new Date() } }
+      );
+    }
+
+    // The parcel's own currency, never the current config: it was quoted in that currency
+    const currency = normalizeCurrency(quote.currency) || parcelCurrency(parcel);
+    const amountMinor = quoteAmountMinor(quote);
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: amountMinor,
+      currency,
+      automatic_payment_methods: { enabled: true },
+      metadata: { parcelId: String(parcel._id), payerEmail: req.decoded.email || "" },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        amountMinor,
+        amountInCents: amountMinor, // older clients; same value, not always cents
+        currency,
+      },
+    });
+  });
+
+  // Confirm payment and mark parcel paid (the parcel's owner or an admin). The intent must have been
+  // made for this parcel by /create-payment-intent: same parcel, quoted amount and currency.
+  router.post("/payments/confirm", verifyToken, verifyUser, async (req, res) => {
+    const { parcelId, paymentIntentId } = req.body;
+    if (!parcelId || !paymentIntentId) {
+      throw new ValidationError("parcelId and paymentIntentId are required");
+    }
+
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+
+    const existing = await parcelsCollection.findOne(parcelFilterFromId(parcelId));
+    if (!existing) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!canAccessParcel(req, existing)) {
+      throw new ForbiddenError("Forbidden access: Not your parcel");
+    }
+
+    const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (!pi || pi.status !== "succeeded") {
+      throw new ValidationError("PaymentIntent not succeeded");
+    }
+
+    const mismatch = paymentMismatch(existing, pi);
+    if (mismatch) {
+      throw new ValidationError(mismatch, { code: "PAYMENT_MISMATCH" });
+    }
+
+    // Same code path as the Stripe webhook, so whichever arrives first records the payment
+    const { parcel, duplicate } = await recordPaymentSucceeded(db, pi, { actor: actorFromRequest(req), stripe });
+
+    if (normalizeStatus(parcel?.status) === PARCEL_STATUS.CANCELLED) {
+      return res.status(200).json({
+        success: true,
+        message: "Parcel was cancelled, so the payment is being refunded",
+        data: { paymentStatus: parcel.paymentStatus },
+      });
+    }
+
+    if (duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: "Parcel was already paid, so this payment is being refunded",
+        data: { paymentStatus: parcel.paymentStatus, duplicate: true },
+      });
+    }
+
+    res.status(200).json({ success: true, message: "Payment recorded and parcel marked Paid" });
+  });
+
+  // Retry the refund of a payment flagged refundRequired (paid after its parcel was cancelled, or a
+  // duplicate payment for a parcel already paid).
+  // Find them with GET /payments?refundRequired=true.
+  router.post("/payments/:paymentIntentId/refund", verifyToken, verifyAdmin, async (req, res) => {
+    const db = await getDb();
+    const payment = await db.collection("payments").findOne({ paymentIntentId: req.params.paymentIntentId });
+    if (!payment) {
+      throw new NotFoundError("Payment not found");
+    }
+    if (!payment.refundRequired) {
+      throw new ConflictError("Payment is not waiting for a refund", { code: "REFUND_NOT_REQUIRED" });
+    }
+    const parcel = payment.parcelId ? await db.collection("parcels").findOne(parcelFilterFromId(payment.parcelId)) : null;
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+
+    const pi = await stripe.paymentIntents.retrieve(payment.paymentIntentId);
+    let updated;
+    try {
+      updated = await refundUnusablePayment(db, parcel, pi, {
+        stripe,
+        actor: actorFromRequest(req),
+        reason: payment.refundRequired,
+      });
+    } catch (stripeError) {
+      console.error("Stripe refund error:", stripeError);
+      throw new UpstreamError("Refund failed, the payment is still flagged", { code: "REFUND_FAILED" });
+    }
+
+    await recordAudit(db, req, {
+      action: AUDIT_ACTIONS.PARCEL_REFUNDED,
+      target: { type: "parcel", id: parcel._id },
+      before: { paymentIntentId: payment.paymentIntentId, amountRefunded: payment.amountRefunded ?? 0 },
+      after: { paymentIntentId: payment.paymentIntentId, amountRefunded: payment.amount },
+      note: `Refund retried (${payment.refundRequired})`,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Refund issued",
+      data: { paymentStatus: updated.paymentStatus, amountRefunded: payment.amount },
+    });
+  });
+
+  // Get payments by payer email (admins may omit it). Filters: status, refundRequired, from/to (createdAt).
+  // totalsByCurrency sums every matching payment, not just this page, in major units.
+  router.get("/payments", verifyToken, verifyUser, async (req, res) => {
+    const { email, status } = req.query;
+    if (!isSelfOrAdmin(req, email)) {
+      throw new ForbiddenError("Forbidden access: You can only view your own payments");
+    }
+    const list = parseListQuery(req.query, { sortFields: ["createdAt", "amount"], defaultSort: "createdAt" });
+    const createdRange = dateRangeFilter("createdAt", req.query);
+    const error = list.error || createdRange?.error;
+    if (error) throw new ValidationError(error);
+
+    const filter = { ...createdRange };
+    if (email) filter.payerEmail = email;
+    if (status) filter.status = equalsIgnoreCase(status);
+    if (req.query.refundRequired === "true") filter.refundRequired = { $exists: true };
+
+    const db = await getDb();
+    const paymentsCollection = db.collection("payments");
+
+    const [page, totalsByCurrency] = await Promise.all([
+      paginate(paymentsCollection, filter, list),
+      paymentTotalsByCurrency(db, filter),
+    ]);
+    res.status(200).json({ ...page, totalsByCurrency });
+  });
+
+  return router;
+};
@@ -0,0 +1,463 @@
+// routes/riders.js (rider applications, tasks, earnings and cash-outs)
+import express from "express";
+import { isAdmin, isSelfOrAdmin } from "../verifyRole.js";
+import { PARCEL_STATUS } from "../parcelStatus.js";
+import {
+  CASHOUT_STATUS,
+  debitCashout,
+  getRiderBalance,
+  getRiderBalances,
+  emptyBalance,
+  getEarningsSeries,
+} from "../riderLedger.js";
+import { PARCEL_CURRENCY, normalizeCurrency, roundMoney } from "../currency.js";
+import { validateBody, riderApplicationSchema, riderReviewSchema, locationSchema } from "../validation.js";
+import { parseListQuery, paginate, dateRangeFilter, equalsIgnoreCase, escapeRegex } from "../pagination.js";
+import { expireStaleOffers, returnToPool, ACTIVE_RIDER_STATUSES, ASSIGNMENT_STATUS } from "../dispatch.js";
+import {
+  RIDER_STATUS,
+  ROLE_FOR_STATUS,
+  REASON_REQUIRED,
+  normalizeRiderStatus,
+  riderStatusSpellings,
+  canTransitionRider,
+  getReapplyBlock,
+} from "../riderStatus.js";
+import { recordRiderLocation } from "../location.js";
+import { HIDDEN_PARCEL_FIELDS } from "../delivery.js";
+import { notify } from "../notifications.js";
+import { recordAudit, AUDIT_ACTIONS } from "../audit.js";
+import { syncUserClaims } from "../claims.js";
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError, toObjectId } from "../errors.js";
+
+export const createRidersRouter = ({ getDb, auth, guards }) => {
+  const { verifyToken, verifyRole, verifyAdmin, verifyRider, rateLimit } = guards;
+  const router = express.Router();
+
+  // Rider application: one per user. A rejected applicant re-applies on the same document once
+  // the cooldown has passed, so earlier decisions stay in its statusHistory.
+  router.post("/riders", verifyToken, validateBody(riderApplicationSchema), async (req, res) => {
+    // The applicant is whoever is signed in; status is always decided by an admin
+    const email = req.decoded.email;
+    const now = new Date();
+
+    const db = await getDb();
+    const ridersCollection = db.collection("riders");
+
+    const existing = await ridersCollection.findOne({ email });
+    if (existing) {
+      const blocked = getReapplyBlock(existing, now);
+      if (blocked) {
+        throw new ConflictError(blocked.message, {
+          code: blocked.code,
+          details: blocked.reapplyAfter ? { reapplyAfter: blocked.reapplyAfter } : undefined,
+        });
+      }
+
+      const reapplied = await ridersCollection.findOneAndUpdate(
+        { _id: existing._id, status: existing.status },
+        {
+          $set: { ...req.body, status: RIDER_STATUS.PENDING, appliedAt: now, updatedAt: now },
+          $unset: { rejectionReason: "", rejectedAt: "", reviewNote: "", reviewedBy: "", reviewedAt: "" },
+          $inc: { applicationCount: 1 },
+          $push: { statusHistory: { from: existing.status, to: RIDER_STATUS.PENDING, note: "Re-applied", by: email, at: now } },
+        },
+        { returnDocument: "after", projection: { _id: 1 } }
+      );
+      if (!reapplied) {
+        throw new ConflictError("Your application changed while re-applying, please retry");
+      }
+      return res.status(200).json({
+        success: true,
+        message: "Rider application resubmitted",
+        data: { insertedId: reapplied._id, reapplied: true },
+      });
+    }
+
+    const rider = {
+      ...req.body,
+      email,
+      status: RIDER_STATUS.PENDING,
+      applicationCount: 1,
+      statusHistory: [{ from: null, to: RIDER_STATUS.PENDING, note: "Applied", by: email, at: now }],
+      appliedAt: now,
+      createdAt: now,
+    };
+    const result = await ridersCollection.insertOne(rider).catch((err) => {
+      if (err?.code === 11000) throw new ConflictError("You already have a rider application", { code: "APPLICATION_PENDING" });
+      throw err;
+    });
+    res.status(201).json({ success: true, message: "Rider added successfully", data: { insertedId: result.insertedId } });
+  });
+
+  // The signed-in user's own application: status, the reason behind it and when they may re-apply
+  router.get("/riders/me", verifyToken, async (req, res) => {
+    const db = await getDb();
+    const rider = await db.collection("riders").findOne({ email: req.decoded.email }, { projection: { location: 0, locationMeta: 0 } });
+    if (!rider) {
+      throw new NotFoundError("No rider application for this account");
+    }
+
+    const block = getReapplyBlock(rider);
+    res.status(200).json({
+      success: true,
+      data: {
+        ...rider,
+        status: normalizeRiderStatus(rider.status) || rider.status,
+        canReapply: !block,
+        reapplyAfter: block?.reapplyAfter || null,
+      },
+    });
+  });
+
+  // Riders pending. Filters: district
+  router.get("/riders/pending", verifyToken, verifyAdmin, async (req, res) => {
+    const list = parseListQuery(req.query, { sortFields: ["_id", "name", "district"], defaultSort: "_id", defaultOrder: "asc" });
+    if (list.error) throw new ValidationError(list.error);
+
+    const filter = { status: { $in: riderStatusSpellings(RIDER_STATUS.PENDING) } };
+    if (req.query.district) filter.district = equalsIgnoreCase(req.query.district);
+
+    const db = await getDb();
+    const ridersCollection = db.collection("riders");
+
+    return res.status(200).json(await paginate(ridersCollection, filter, list));
+  });
+
+  // Admin decision on a rider: approve, reject, suspend or reinstate. The user whose role changes
+  // is always the rider document's own email, never one sent by the client.
+  router.patch("/riders/:id", verifyToken, verifyAdmin, validateBody(riderReviewSchema), async (req, res) => {
+    const _id = toObjectId(req.params.id, "rider ID");
+    const { status, reason, note = "", allowReapply = true } = req.body;
+    if (REASON_REQUIRED.includes(status) && !reason) {
+      throw new ValidationError("Validation failed", { errors: [{ field: "reason", message: `is required to mark a rider ${status}` }] });
+    }
+
+    const db = await getDb();
+    const ridersCollection = db.collection("riders");
+    const usersCollection = db.collection("users");
+
+    const rider = await ridersCollection.findOne({ _id });
+    if (!rider) {
+      throw new NotFoundError("Rider not found");
+    }
+    const from = normalizeRiderStatus(rider.status) || rider.status;
+    if (!canTransitionRider(rider.status, status)) {
+      throw new ConflictError(`A ${from} rider cannot be marked ${status}`, { code: "INVALID_STATUS_TRANSITION" });
+    }
+    if (!rider.email) {
+      throw new ConflictError("Rider has no email on file; fix the application before reviewing it");
+    }
+
+    const now = new Date();
+    const reviewer = req.decoded.email;
+    const update = {
+      $set: { status, reviewNote: note, reviewedBy: reviewer, reviewedAt: now, updatedAt: now },
+      $unset: {},
+      $push: { statusHistory: { from, to: status, reason: reason || null, note, by: reviewer, at: now } },
+    };
+    if (status === RIDER_STATUS.REJECTED) {
+      Object.assign(update.$set, { rejectionReason: reason, rejectedAt: now, reapplyAllowed: allowReapply });
+    }
+    if (status === RIDER_STATUS.SUSPENDED) {
+      Object.assign(update.$set, { suspensionReason: reason, suspendedAt: now });
+    }
+    if (status === RIDER_STATUS.ACTIVE) {
+      Object.assign(update.$unset, { suspensionReason: "", suspendedAt: "" });
+      if (from === RIDER_STATUS.PENDING) update.$set.approvedAt = now;
+    }
+    if (!Object.keys(update.$unset).length) delete update.$unset;
+
+    // Guard on the status we checked so two admins can't decide the same rider at once
+    const updated = await ridersCollection.findOneAndUpdate({ _id, status: rider.status }, update, { returnDocument: "after" });
+    if (!updated) {
+      throw new ConflictError("Rider was updated by someone else, please reload and retry");
+    }
+
+    // Admins keep their role even if they also hold a rider profile
+    const role = ROLE_FOR_STATUS[status];
+    const previousUser = await usersCollection.findOneAndUpdate(
+      { email: rider.email, role: { $ne: "admin" } },
+      { $set: { role } },
+      { returnDocument: "before", projection: { email: 1, uid: 1, role: 1 } }
+    );
+    if (!previousUser) {
+      console.warn("⚠️ No non-admin user found for rider email:", rider.email);
+    } else {
+      await syncUserClaims(db, auth, { ...previousUser, role }, { previousRole: previousUser.role });
+    }
+
+    // Offers the rider hasn't accepted yet go straight back to the pool
+    let offersWithdrawn = 0;
+    if (status === RIDER_STATUS.SUSPENDED) {
+      const offered = await db
+        .collection("parcels")
+        .find({ assignedRiderId: String(_id), status: PARCEL_STATUS.ASSIGNED, assignmentStatus: ASSIGNMENT_STATUS.OFFERED })
+        .toArray();
+      for (const parcel of offered) {
+        const actor = { email: reviewer, role: "admin" };
+        if (await returnToPool(db, parcel, { actor, note: `Offer withdrawn: rider ${rider.name || rider.email} suspended` })) {
+          offersWithdrawn++;
+        }
+      }
+    }
+
+    await recordAudit(db, req, {
+      action: AUDIT_ACTIONS.RIDER_STATUS_CHANGED,
+      target: { type: "rider", id: rider._id },
+      before: { status: rider.status, email: rider.email, role: previousUser?.role ?? null },
+      after: { status, email: rider.email, role: previousUser ? role : null },
+      note: [reason, note].filter(Boolean).join(" | "),
+    });
+
+    if (status === RIDER_STATUS.ACTIVE) {
+      await notify(db, from === RIDER_STATUS.SUSPENDED ? "riderReinstated" : "riderApproved", rider.email, { rider });
+    }
+    if (status === RIDER_STATUS.REJECTED) {
+      const block = getReapplyBlock(updated, now);
+      await notify(db, "riderRejected", rider.email, { rider, reason, reapplyAfter: block?.reapplyAfter || null });
+    }
+    if (status === RIDER_STATUS.SUSPENDED) {
+      await notify(db, "riderSuspended", rider.email, { rider, reason });
+    }
+
+    const messages = {
+      [RIDER_STATUS.ACTIVE]: from === RIDER_STATUS.SUSPENDED ? "Rider reinstated." : "Rider activated and role updated to rider.",
+      [RIDER_STATUS.REJECTED]: "Rider rejected and role reverted to user.",
+      [RIDER_STATUS.SUSPENDED]: "Rider suspended; no new tasks will be assigned.",
+    };
+    res.status(200).json({ success: true, message: messages[status], data: { ...updated, offersWithdrawn } });
+  });
+
+  // Suspended riders. Filters: district
+  router.get("/riders/suspended", verifyToken, verifyAdmin, async (req, res) => {
+    const list = parseListQuery(req.query, { sortFields: ["_id", "name", "district", "suspendedAt"], defaultSort: "suspendedAt" });
+    if (list.error) throw new ValidationError(list.error);
+
+    const filter = { status: { $in: riderStatusSpellings(RIDER_STATUS.SUSPENDED) } };
+    if (req.query.district) filter.district = equalsIgnoreCase(req.query.district);
+
+    const db = await getDb();
+    res.status(200).json(await paginate(db.collection("riders"), filter, list));
+  });
+
+  // Riders active. Filters: district, workStatus
+  router.get("/riders/active", verifyToken, verifyAdmin, async (req, res) => {
+    const list = parseListQuery(req.query, { sortFields: ["_id", "name", "district", "lastAssignedAt"], defaultSort: "_id", defaultOrder: "asc" });
+    if (list.error) throw new ValidationError(list.error);
+
+    const filter = { status: { $in: ACTIVE_RIDER_STATUSES } };
+    if (req.query.district) filter.district = equalsIgnoreCase(req.query.district);
+    if (req.query.workStatus) filter.workStatus = equalsIgnoreCase(req.query.workStatus);
+
+    const db = await getDb();
+    const ridersCollection = db.collection("riders");
+
+    res.status(200).json(await paginate(ridersCollection, filter, list));
+  });
+
+  // Riders by district
+  router.get("/riders/by-district", verifyToken, verifyAdmin, async (req, res) => {
+    const { district } = req.query;
+    if (!district) {
+      throw new ValidationError("District is required");
+    }
+
+    const db = await getDb();
+    const ridersCollection = db.collection("riders");
+
+    const riders = await ridersCollection
+      .find({
+        district: { $regex: escapeRegex(district.trim()), $options: "i" },
+        status: { $in: ACTIVE_RIDER_STATUSES },
+      })
+      .toArray();
+
+    if (!riders.length) {
+      throw new NotFoundError(`No active riders found for district: ${district}`, { code: "NO_ACTIVE_RIDERS" });
+    }
+
+    res.status(200).json({ success: true, count: riders.length, data: riders });
+  });
+
+  // Riders tasks
+  router.get("/riders/tasks", verifyToken, verifyRider, async (req, res) => {
+    const { email } = req.query;
+    if (!isSelfOrAdmin(req, email)) {
+      throw new ForbiddenError("Forbidden access: You can only view your own tasks");
+    }
+    const query = {
+      assignedRiderEmail: email,
+      status: { $in: [PARCEL_STATUS.ASSIGNED, PARCEL_STATUS.PICKED_UP, PARCEL_STATUS.IN_TRANSIT] },
+    };
+
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+
+    // Sweep expired offers first so riders never see an offer they can no longer accept
+    await expireStaleOffers(db);
+    const parcels = await parcelsCollection.find(query).project(HIDDEN_PARCEL_FIELDS).sort({ updatedAt: -1 }).toArray();
+    res.status(200).json({ success: true, count: parcels.length, data: parcels });
+  });
+
+  // Rider app pushes its position; parcels the rider is carrying get it too, with a fresh ETA
+  router.post(
+    "/riders/location",
+    verifyToken,
+    rateLimit("riderLocation"),
+    verifyRole("rider"),
+    validateBody(locationSchema),
+    async (req, res) => {
+      const db = await getDb();
+      const rider = await db
+        .collection("riders")
+        .findOne({ email: req.decoded.email, status: { $in: ACTIVE_RIDER_STATUSES } }, { projection: { _id: 1 } });
+      if (!rider) {
+        throw new NotFoundError("No active rider profile for this account");
+      }
+
+      const parcelsUpdated = await recordRiderLocation(db, rider, req.body);
+      res.status(200).json({ success: true, message: "Location updated", data: { parcelsUpdated } });
+    }
+  );
+
+  // Completed deliveries for rider. Filters: from/to (deliveredAt)
+  router.get("/riders/completed", verifyToken, verifyRider, async (req, res) => {
+    const { email } = req.query;
+    if (!email) {
+      throw new ValidationError("Email is required");
+    }
+    if (!isSelfOrAdmin(req, email)) {
+      throw new ForbiddenError("Forbidden access: You can only view your own deliveries");
+    }
+
+    const list = parseListQuery(req.query, { sortFields: ["updatedAt", "deliveredAt", "riderEarning"], defaultSort: "updatedAt" });
+    const deliveredRange = dateRangeFilter("deliveredAt", req.query);
+    const error = list.error || deliveredRange?.error;
+    if (error) throw new ValidationError(error);
+
+    const db = await getDb();
+    const parcelsCollection = db.collection("parcels");
+
+    const filter = { assignedRiderEmail: email, status: PARCEL_STATUS.DELIVERED, ...deliveredRange };
+    res.status(200).json(await paginate(parcelsCollection, filter, list, { projection: HIDDEN_PARCEL_FIELDS }));
+  });
+
+  // Rider earnings: balance in ?currency (default PARCEL_CURRENCY), every currency's balance, and
+  // per day / week / month totals per currency
+  router.get("/riders/earnings", verifyToken, verifyRider, async (req, res) => {
+    const email = req.query.email || req.decoded.email;
+    if (!isSelfOrAdmin(req, email)) {
+      throw new ForbiddenError("Forbidden access: You can only view your own earnings");
+    }
+    const currency = req.query.currency ? normalizeCurrency(req.query.currency) : PARCEL_CURRENCY;
+    if (!currency) {
+      throw new ValidationError("currency must be a 3-letter ISO code (e.g. bdt)");
+    }
+
+    const db = await getDb();
+    const [balances, series] = await Promise.all([getRiderBalances(db, email), getEarningsSeries(db, email)]);
+    const balance = balances.find((b) => b.currency === currency) || emptyBalance(currency);
+
+    res.status(200).json({ success: true, data: { riderEmail: email, balance, balances, ...series } });
+  });
+
+  // Rider requests a cash-out of (part of) their available balance
+  router.post("/riders/cashouts", verifyToken, verifyRole("rider"), async (req, res) => {
+    const { method = "", note = "" } = req.body;
+    const currency = req.body.currency ? normalizeCurrency(req.body.currency) : PARCEL_CURRENCY;
+    if (!currency) {
+      throw new ValidationError("currency must be a 3-letter ISO code (e.g. bdt)");
+    }
+    const amount = roundMoney(Number(req.body.amount), currency);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new ValidationError("amount must be a positive number");
+    }
+
+    const db = await getDb();
+    const riderEmail = req.decoded.email;
+
+    const balance = await getRiderBalance(db, riderEmail, currency);
+    if (amount > balance.available) {
+      throw new ValidationError(`Requested amount exceeds available balance (${balance.available} ${currency.toUpperCase()})`);
+    }
+
+    const cashout = {
+      riderEmail,
+      amount,
+      currency,
+      method,
+      note,
+      status: CASHOUT_STATUS.PENDING,
+      requestedAt: new Date(),
+    };
+    const result = await db
+      .collection("rider_cashouts")
+      .insertOne(cashout)
+      .catch((err) => {
+        if (err?.code === 11000) throw new ConflictError("You already have a pending cash-out request");
+        throw err;
+      });
+
+    res.status(201).json({ success: true, message: "Cash-out requested", data: { _id: result.insertedId, ...cashout } });
+  });
+
+  // Cash-out requests: riders see their own, admins see all (optionally by status / email)
+  router.get("/riders/cashouts", verifyToken, verifyRider, async (req, res) => {
+    const { status, email } = req.query;
+    const list = parseListQuery(req.query, { sortFields: ["requestedAt", "amount"], defaultSort: "requestedAt" });
+    if (list.error) throw new ValidationError(list.error);
+
+    const query = {};
+    if (isAdmin(req)) {
+      if (email) query.riderEmail = email;
+    } else {
+      query.riderEmail = req.decoded.email;
+    }
+    if (status) query.status = equalsIgnoreCase(status);
+
+    const db = await getDb();
+    res.status(200).json(await paginate(db.collection("rider_cashouts"), query, list));
+  });
+
+  // Admin approves or rejects a pending cash-out
+  router.patch("/riders/cashouts/:id", verifyToken, verifyAdmin, async (req, res) => {
+    const { id } = req.params;
+    const { status, note = "" } = req.body;
+    const _id = toObjectId(id, "cash-out ID");
+    if (![CASHOUT_STATUS.APPROVED, CASHOUT_STATUS.REJECTED].includes(status)) {
+      throw new ValidationError(`status must be '${CASHOUT_STATUS.APPROVED}' or '${CASHOUT_STATUS.REJECTED}'`);
+    }
+
+    const db = await getDb();
+    const cashoutsCollection = db.collection("rider_cashouts");
+
+    // Only a pending request can be decided, and only once
+    const cashout = await cashoutsCollection.findOneAndUpdate(
+      { _id, status: CASHOUT_STATUS.PENDING },
+      { $set: { status, reviewNote: note, reviewedBy: req.decoded.email, reviewedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+    if (!cashout) {
+      const exists = await cashoutsCollection.findOne({ _id });
+      if (!exists) throw new NotFoundError("Cash-out not found");
+      throw new ConflictError(`Cash-out already ${exists.status.toLowerCase()}`);
+    }
+
+    if (status === CASHOUT_STATUS.APPROVED) {
+      await debitCashout(db, cashout);
+    }
+
+    await recordAudit(db, req, {
+      action: AUDIT_ACTIONS.CASHOUT_REVIEWED,
+      target: { type: "cashout", id: cashout._id },
+      before: { status: CASHOUT_STATUS.PENDING },
+      after: { status, riderEmail: cashout.riderEmail, amount: cashout.amount, currency: cashout.currency },
+      note,
+    });
+
+    res.status(200).json({ success: true, message: `Cash-out ${status.toLowerCase()}`, data: cashout });
+  });
+
+  return router;
+};
@@ -0,0 +1,128 @@
+// routes/tracking.js (public and owner tracking views)
+import express from "express";
+import { canAccessParcel } from "../verifyRole.js";
+import { normalizeTrackingId, publicTrackingView, estimateDelivery } from "../tracking.js";
+import { HIDDEN_PARCEL_FIELDS } from "../delivery.js";
+import { subscribeParcelUpdates } from "../location.js";
+import { ValidationError, ForbiddenError, NotFoundError } from "../errors.js";
+
+// Live stream tuning: the poll catches changes made on other instances, the heartbeat keeps
+// proxies from closing an idle connection, and clients reconnect after MAX_STREAM_MS
+const STREAM_POLL_MS = 15 * 1000;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const MAX_STREAM_MS = 30 * 60 * 1000;
+const FINAL_STATUSES = ["Delivered", "Cancelled", "Returned"];
+
+export const createTrackingRouter = ({ getDb, guards }) => {
+  const { verifyToken, verifyUser, rateLimit } = guards;
+  const router = express.Router();
+
+  // Look up a parcel by tracking ID; IDs replaced by the backfill migration still resolve
+  const findByTrackingId = (db, rawId, options) => {
+    const trackingId = normalizeTrackingId(rawId);
+    const filter = trackingId ? { trackingId } : { legacyTrackingId: String(rawId).trim() };
+    return db.collection("parcels").findOne(filter, options);
+  };
+
+  // Public tracking: redacted to status, district-level location, ETA and timeline
+  router.get("/tracking/:trackingId", rateLimit("tracking"), async (req, res) => {
+    const { trackingId } = req.params;
+    if (!trackingId) {
+      throw new ValidationError("Tracking ID is required");
+    }
+
+    const db = await getDb();
+    const trackingCollection = db.collection("tracking");
+
+    const parcel = await findByTrackingId(db, trackingId, { projection: HIDDEN_PARCEL_FIELDS });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+
+    const history = await trackingCollection.find({ parcel_id: parcel._id }).sort({ time: 1 }).toArray();
+    res.status(200).json({ success: true, data: publicTrackingView(parcel, history) });
+  });
+
+  // Live public tracking as Server-Sent Events: an `update` event with the same redacted view as
+  // GET /tracking/:trackingId whenever it changes, then `end` once the parcel reaches a final status
+  router.get("/tracking/:trackingId/stream", rateLimit("tracking"), async (req, res) => {
+    const db = await getDb();
+    const parcel = await findByTrackingId(db, req.params.trackingId, { projection: { _id: 1, trackingId: 1 } });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    let closed = false;
+    let lastPayload = null;
+    let sending = Promise.resolve();
+    const timers = [];
+    let unsubscribe = () => {};
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      timers.forEach(clearTimeout);
+      unsubscribe();
+      res.end();
+    };
+
+    // Sends run one at a time and skip views identical to the last one sent
+    const sendUpdate = () => {
+      sending = sending
+        .then(async () => {
+          if (closed) return;
+          const current = await db.collection("parcels").findOne({ _id: parcel._id }, { projection: HIDDEN_PARCEL_FIELDS });
+          if (!current || closed) return close();
+
+          const history = await db.collection("tracking").find({ parcel_id: parcel._id }).sort({ time: 1 }).toArray();
+          const payload = JSON.stringify(publicTrackingView(current, history));
+          if (payload !== lastPayload) {
+            lastPayload = payload;
+            res.write(`event: update\ndata: ${payload}\n\n`);
+          }
+          if (FINAL_STATUSES.includes(current.status)) {
+            res.write("event: end\ndata: {}\n\n");
+            close();
+          }
+        })
+        .catch((err) => {
+          console.error("Tracking stream error:", err);
+          close();
+        });
+      return sending;
+    };
+
+    res.on("close", close);
+    if (parcel.trackingId) unsubscribe = subscribeParcelUpdates(parcel.trackingId, sendUpdate);
+    timers.push(setInterval(sendUpdate, STREAM_POLL_MS));
+    timers.push(setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS));
+    timers.push(setTimeout(close, MAX_STREAM_MS));
+    await sendUpdate();
+  });
+
+  // Full tracking details for the parcel's owner, its rider or an admin
+  router.get("/tracking/:trackingId/details", verifyToken, verifyUser, async (req, res) => {
+    const db = await getDb();
+    const parcel = await findByTrackingId(db, req.params.trackingId, { projection: HIDDEN_PARCEL_FIELDS });
+    if (!parcel) {
+      throw new NotFoundError("Parcel not found");
+    }
+    if (!canAccessParcel(req, parcel)) {
+      throw new ForbiddenError("Forbidden access: Not your parcel");
+    }
+
+    const history = await db.collection("tracking").find({ parcel_id: parcel._id }).sort({ time: 1 }).toArray();
+    res.status(200).json({ success: true, data: { parcel, eta: estimateDelivery(parcel), history } });
+  });
+
+  return router;
+};
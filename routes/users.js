@@ -0,0 +1,160 @@
+// routes/users.js (user accounts and roles)
+import express from "express";
+import { validateBody, userSchema, userRoleSchema } from "../validation.js";
+import { parseListQuery, paginate, dateRangeFilter, escapeRegex } from "../pagination.js";
+import { recordAudit, AUDIT_ACTIONS } from "../audit.js";
+import { syncUserClaims } from "../claims.js";
+import { isSelfOrAdmin } from "../verifyRole.js";
+import { ValidationError, ForbiddenError, NotFoundError, toObjectId } from "../errors.js";
+
+export const createUsersRouter = ({ getDb, auth, guards }) => {
+  const { verifyToken, verifyAdmin, verifyUser, rateLimit } = guards;
+  const router = express.Router();
+
+  // Users: create or update (upsert) the caller's own account
+  // Email and uid come from the ID token, so nobody can create (and later get promoted through) a
+  // users document for someone else. Roles are never taken from the body; new accounts start as "user".
+  router.post("/users", rateLimit("signIn"), verifyToken, validateBody(userSchema), async (req, res) => {
+    const { uid, email } = req.decoded;
+    if (!email) {
+      throw new ValidationError("Your account has no email address");
+    }
+    const { name = "", image = "", provider = "email" } = req.body;
+
+    const now = new Date();
+    const setOnInsertDoc = {
+      email,
+      name,
+      image,
+      provider,
+      role: "user",
+      createdAt: now,
+    };
+
+    const db = await getDb();
+    const usersCollection = db.collection("users");
+
+    const result = await usersCollection.updateOne(
+      { email },
+      { $setOnInsert: setOnInsertDoc, $set: { uid, lastLogin: now } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 1) {
+      return res.status(201).json({ success: true, message: " User created" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "ℹ️ User exists — lastLogin refreshed",
+    });
+  });
+
+  // Users search (plain substring match; the query is escaped, never run as a regex)
+  router.get("/users/search", verifyToken, rateLimit("userSearch"), verifyAdmin, async (req, res) => {
+    const { query } = req.query;
+    if (typeof query !== "string" || query.trim() === "") {
+      throw new ValidationError("Search query required.");
+    }
+    if (query.length > 100) {
+      throw new ValidationError("Search query must be at most 100 characters.");
+    }
+    const db = await getDb();
+    const usersCollection = db.collection("users");
+
+    const pattern = escapeRegex(query.trim());
+    const users = await usersCollection
+      .find({
+        $or: [
+          { email: { $regex: pattern, $options: "i" } },
+          { name: { $regex: pattern, $options: "i" } },
+        ],
+      })
+      .project({ email: 1, name: 1, role: 1, createdAt: 1, uid: 1 })
+      .limit(10)
+      .toArray();
+
+    res.status(200).json({ success: true, total: users.length, data: users });
+  });
+
+  // Update user role
+  router.patch("/users/:id/role", verifyToken, verifyAdmin, validateBody(userRoleSchema), async (req, res) => {
+    const id = req.params.id;
+    const { role } = req.body; // one of ROLES, lower case
+    const _id = toObjectId(id, "user ID");
+
+    const db = await getDb();
+    const usersCollection = db.collection("users");
+
+    const previous = await usersCollection.findOneAndUpdate(
+      { _id },
+      { $set: { role } },
+      { returnDocument: "before", projection: { email: 1, uid: 1, role: 1 } }
+    );
+
+    if (!previous) {
+      throw new NotFoundError("User not found.");
+    }
+
+    const claims = await syncUserClaims(db, auth, { ...previous, role }, { previousRole: previous.role });
+
+    await recordAudit(db, req, {
+      action: AUDIT_ACTIONS.USER_ROLE_CHANGED,
+      target: { type: "user", id: _id },
+      before: { email: previous.email, role: previous.role || "user" },
+      after: { email: previous.email, role },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `User role updated to '${role}'.`,
+      data: { claimsSynced: !!claims && !claims.error, sessionsRevoked: !!claims?.revoked },
+    });
+  });
+
+  // Get user role by email: your own, or anyone's for admins. Clients can also read the `role`
+  // custom claim from the ID token.
+  router.get("/users/role", rateLimit("roleLookup"), verifyToken, verifyUser, async (req, res) => {
+    const email = req.query.email || req.decoded.email;
+    if (!isSelfOrAdmin(req, email)) {
+      throw new ForbiddenError("Forbidden access: You can only look up your own role");
+    }
+
+    const db = await getDb();
+    const usersCollection = db.collection("users");
+
+    const user = await usersCollection.findOne(
+      { email },
+      { projection: { name: 1, email: 1, role: 1, createdAt: 1, _id: 0 } }
+    );
+
+    if (!user) {
+      throw new NotFoundError("User not found.");
+    }
+
+    res.status(200).json({
+      success: true,
+      role: user.role || "user",
+      data: user,
+      message: "User role fetched successfully.",
+    });
+  });
+
+  // Get all users (admin only). Filters: role, from/to (createdAt)
+  router.get("/users", verifyToken, verifyAdmin, async (req, res) => {
+    const list = parseListQuery(req.query, { sortFields: ["createdAt", "lastLogin", "email", "name"], defaultSort: "createdAt" });
+    const createdRange = dateRangeFilter("createdAt", req.query);
+    const error = list.error || createdRange?.error;
+    if (error) throw new ValidationError(error);
+
+    const filter = { ...createdRange };
+    if (req.query.role) filter.role = String(req.query.role).toLowerCase();
+
+    const db = await getDb();
+    const usersCollection = db.collection("users");
+
+    res.status(200).json(await paginate(usersCollection, filter, list));
+  });
+
+  return router;
+};
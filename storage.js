@@ -0,0 +1,108 @@
+// storage.js (proof-of-delivery file storage: local disk or any S3-compatible bucket)
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { UpstreamError } from "./errors.js";
+
+// Every driver implements:
+//   put(key, buffer, contentType) -> { driver, key }
+//   get(key)                      -> { body: Buffer, contentType } or null when missing
+// and `available` is false when uploads can't be kept (see createStorage).
+
+export const createLocalStorage = (rootDir = process.env.UPLOAD_DIR || "uploads") => {
+  const root = path.resolve(rootDir);
+  // Keys are generated server-side, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return filePath;
+  };
+
+  return {
+    driver: "local",
+    async put(key, buffer, contentType) {
+      const filePath = resolveKey(key);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, buffer);
+      await writeFile(`${filePath}.meta.json`, JSON.stringify({ contentType }));
+      return { driver: "local", key };
+    },
+    async get(key) {
+      const filePath = resolveKey(key);
+      try {
+        const [body, meta] = await Promise.all([readFile(filePath), readFile(`${filePath}.meta.json`, "utf8")]);
+        return { body, contentType: JSON.parse(meta).contentType };
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+  };
+};
+
+// S3, MinIO, R2... anything speaking the S3 API. The SDK is only loaded when this driver is used.
+export const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+} = {}) => {
+  if (!bucket) throw new Error("S3_BUCKET must be set when STORAGE_DRIVER=s3");
+
+  let clientPromise = null;
+  const getClient = () => {
+    clientPromise ||= import("@aws-sdk/client-s3").then((sdk) => ({
+      sdk,
+      client: new sdk.S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle: !!endpoint,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      }),
+    }));
+    return clientPromise;
+  };
+
+  return {
+    driver: "s3",
+    async put(key, buffer, contentType) {
+      const { sdk, client } = await getClient();
+      await client.send(new sdk.PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+      return { driver: "s3", key };
+    },
+    async get(key) {
+      const { sdk, client } = await getClient();
+      try {
+        const object = await client.send(new sdk.GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { body: Buffer.from(await object.Body.transformToByteArray()), contentType: object.ContentType };
+      } catch (err) {
+        if (err?.name === "NoSuchKey") return null;
+        throw err;
+      }
+    },
+  };
+};
+
+// Stands in where files can't be kept: uploads fail with a 503, everything else keeps working
+export const createUnavailableStorage = (reason) => ({
+  driver: "none",
+  available: false,
+  async put() {
+    throw new UpstreamError(`File storage is not configured: ${reason}`, { status: 503, code: "STORAGE_UNAVAILABLE" });
+  },
+  async get() {
+    return null;
+  },
+});
+
+// STORAGE_DRIVER=local (default) | s3. Serverless hosts such as Vercel (which sets VERCEL) have a
+// read-only filesystem, and /tmp is neither shared between instances nor kept, so proof photos
+// would be lost: there only the s3 driver stores them, and without it image uploads are refused.
+export const createStorage = () => {
+  if (process.env.STORAGE_DRIVER === "s3") return createS3Storage();
+  if (process.env.VERCEL) {
+    console.warn("⚠️ STORAGE_DRIVER=s3 is not set on Vercel; proof-of-delivery images will be refused");
+    return createUnavailableStorage("set STORAGE_DRIVER=s3 and S3_BUCKET");
+  }
+  return createLocalStorage();
+};
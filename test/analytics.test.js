@@ -0,0 +1,57 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, seedUser, bookParcel, payForParcel, skipWithoutMongo } from "./setup.js";
+
+describe("admin analytics", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+  const OWNER = "owner@test.dev";
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, ADMIN, "admin");
+    await seedUser(ctx.db, OWNER);
+
+    const { id } = await bookParcel(ctx, OWNER);
+    await payForParcel(ctx, OWNER, id);
+    await bookParcel(ctx, OWNER, { senderDistrict: "Khulna", receiverDistrict: "Khulna" });
+  });
+  after(() => ctx.close());
+
+  it("counts parcels by status and district", async () => {
+    const byStatus = await ctx.request("GET", "/admin/analytics/parcels/status", { as: ADMIN });
+    assert.equal(byStatus.status, 200);
+    const counts = Object.fromEntries(byStatus.body.data.map((row) => [row.label, row.value]));
+    assert.equal(counts.Paid, 1);
+    assert.equal(counts.Pending, 1);
+
+    const byDistrict = await ctx.request("GET", "/admin/analytics/parcels/district?side=sender", { as: ADMIN });
+    assert.deepEqual(byDistrict.body.data.map((row) => row.label).sort(), ["Dhaka", "Khulna"]);
+  });
+
+  it("reports revenue with explicit zero periods", async () => {
+    const res = await ctx.request("GET", "/admin/analytics/revenue?interval=day", { as: ADMIN });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 60);
+    assert.ok(res.body.data.length >= 30);
+  });
+
+  it("serves the remaining reports", async () => {
+    for (const path of ["delivery-time", "top-riders?limit=5", "signups?interval=month"]) {
+      const res = await ctx.request("GET", `/admin/analytics/${path}`, { as: ADMIN });
+      assert.equal(res.status, 200, path);
+      assert.equal(res.body.success, true);
+    }
+  });
+
+  it("validates ranges and requires an admin", async () => {
+    const badRange = await ctx.request("GET", "/admin/analytics/revenue?from=2025-02-01&to=2025-01-01", { as: ADMIN });
+    assert.equal(badRange.status, 400);
+
+    const badInterval = await ctx.request("GET", "/admin/analytics/signups?interval=hour", { as: ADMIN });
+    assert.equal(badInterval.status, 400);
+
+    const notAdmin = await ctx.request("GET", "/admin/analytics/revenue", { as: OWNER });
+    assert.equal(notAdmin.status, 403);
+  });
+});
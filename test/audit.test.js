@@ -0,0 +1,70 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, seedUser, seedRider, bookParcel, payForParcel, skipWithoutMongo } from "./setup.js";
+
+describe("audit log", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+  const OWNER = "owner@test.dev";
+
+  const auditLogs = (query, as = ADMIN) => ctx.request("GET", `/admin/audit-logs?${query}`, { as });
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, ADMIN, "admin");
+    await seedUser(ctx.db, OWNER);
+  });
+  after(() => ctx.close());
+
+  it("records role changes with the actor and before/after values", async () => {
+    const userId = await seedUser(ctx.db, "promoted@test.dev");
+    await ctx.request("PATCH", `/users/${userId}/role`, { as: ADMIN, body: { role: "admin" } });
+
+    const res = await auditLogs("action=user.role.changed");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 1);
+
+    const [entry] = res.body.data;
+    assert.equal(entry.actor.email, ADMIN);
+    assert.equal(entry.actor.uid, `uid-${ADMIN}`);
+    assert.deepEqual(entry.target, { type: "user", id: String(userId) });
+    assert.equal(entry.before.role, "user");
+    assert.equal(entry.after.role, "admin");
+    assert.ok(entry.ip);
+  });
+
+  it("records rider decisions, assignments and status overrides", async () => {
+    const riderId = await seedRider(ctx.db, { email: "rider@test.dev", status: "pending" });
+    await ctx.request("PATCH", `/riders/${riderId}`, { as: ADMIN, body: { status: "active" } });
+
+    const { id } = await bookParcel(ctx, OWNER);
+    await payForParcel(ctx, OWNER, id);
+    await ctx.request("PATCH", `/parcels/${id}/assign`, { as: ADMIN, body: { riderId: String(riderId) } });
+    await ctx.request("PATCH", `/parcels/${id}/status`, { as: ADMIN, body: { status: "Paid", note: "Rider unreachable" } });
+
+    const rider = await auditLogs(`targetType=rider&targetId=${riderId}`);
+    assert.equal(rider.body.data[0].action, "rider.status.changed");
+    assert.equal(rider.body.data[0].before.status, "pending");
+    assert.equal(rider.body.data[0].after.role, "rider");
+
+    const parcel = await auditLogs(`targetType=parcel&targetId=${id}&order=asc`);
+    assert.deepEqual(parcel.body.data.map((e) => e.action), ["parcel.assigned", "parcel.status.overridden"]);
+    assert.equal(parcel.body.data[1].note, "Rider unreachable");
+  });
+
+  it("filters by actor and date range", async () => {
+    const byActor = await auditLogs(`actorEmail=${ADMIN.toUpperCase()}`);
+    assert.equal(byActor.body.total, 4);
+
+    const future = await auditLogs("from=2999-01-01");
+    assert.equal(future.body.total, 0);
+  });
+
+  it("is admin-only and validates filters", async () => {
+    const notAdmin = await auditLogs("", OWNER);
+    assert.equal(notAdmin.status, 403);
+
+    const badAction = await auditLogs("action=user.deleted");
+    assert.equal(badAction.status, 400);
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { startTestServer, seedUser, seedRider, bookParcel, payForParcel, TINY_PNG, skipWithoutMongo } from "./setup.js";
+
+describe("assignment and delivery", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+  const OWNER = "owner@test.dev";
+  const RIDER = "rider@test.dev";
+  const OTHER_RIDER = "other.rider@test.dev";
+  let riderId;
+  let otherRiderId;
+
+  const findParcel = (id) => ctx.db.collection("parcels").findOne({ _id: new ObjectId(id) });
+
+  // A booked, paid parcel that is ready for dispatch
+  const paidParcel = async () => {
+    const parcel = await bookParcel(ctx, OWNER);
+    await payForParcel(ctx, OWNER, parcel.id);
+    return parcel;
+  };
+
+  const assignTo = (parcelId, rider) =>
+    ctx.request("PATCH", `/parcels/${parcelId}/assign`, { as: ADMIN, body: { riderId: String(rider) } });
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, ADMIN, "admin");
+    await seedUser(ctx.db, OWNER);
+    riderId = await seedRider(ctx.db, { email: RIDER, name: "Karim" });
+    otherRiderId = await seedRider(ctx.db, { email: OTHER_RIDER, district: "Khulna" });
+  });
+  after(() => ctx.close());
+
+  it("only assigns paid parcels to active riders", async () => {
+    const unpaid = await bookParcel(ctx, OWNER);
+    const early = await assignTo(unpaid.id, riderId);
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, "INVALID_STATUS_TRANSITION");
+
+    const pendingRider = await seedRider(ctx.db, { email: "pending.rider@test.dev", status: "pending" });
+    const { id } = await paidParcel();
+    const inactive = await assignTo(id, pendingRider);
+    assert.equal(inactive.status, 409);
+
+    const unknown = await assignTo(id, new ObjectId());
+    assert.equal(unknown.status, 404);
+
+    const missing = await ctx.request("PATCH", `/parcels/${id}/assign`, { as: ADMIN, body: {} });
+    assert.equal(missing.status, 400);
+  });
+
+  it("offers an assignment that the rider can decline back to the pool", async () => {
+    const { id } = await paidParcel();
+
+    const res = await assignTo(id, riderId);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.riderEmail, RIDER);
+
+    let parcel = await findParcel(id);
+    assert.equal(parcel.status, "Assigned");
+    assert.equal(parcel.assignmentStatus, "Offered");
+
+    const notMine = await ctx.request("POST", `/parcels/${id}/decline`, { as: OTHER_RIDER, body: {} });
+    assert.equal(notMine.status, 403);
+
+    const declined = await ctx.request("POST", `/parcels/${id}/decline`, { as: RIDER, body: { reason: "Bike in repair" } });
+    assert.equal(declined.status, 200);
+
+    parcel = await findParcel(id);
+    assert.equal(parcel.status, "Paid");
+    assert.equal(parcel.assignedRiderEmail, undefined);
+  });
+
+  it("auto-assigns the best rider in the sender's district", async () => {
+    const { id } = await paidParcel();
+
+    const res = await ctx.request("POST", `/parcels/${id}/auto-assign`, { as: ADMIN });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.riderEmail, RIDER);
+    assert.ok(res.body.data.reason);
+
+    const again = await ctx.request("POST", `/parcels/${id}/auto-assign`, { as: ADMIN });
+    assert.equal(again.status, 409);
+  });
+
+  it("takes a parcel from offer to delivery with a verified code and photo", async () => {
+    const { id, deliveryCode } = await paidParcel();
+    await assignTo(id, riderId);
+
+    const earlyPickup = await ctx.request("POST", `/parcels/${id}/pickup`, { as: RIDER, body: {} });
+    assert.equal(earlyPickup.status, 409);
+
+    const accepted = await ctx.request("POST", `/parcels/${id}/accept`, { as: RIDER });
+    assert.equal(accepted.status, 200);
+
+    const tasks = await ctx.request("GET", `/riders/tasks?email=${RIDER}`, { as: RIDER });
+    assert.ok(tasks.body.data.some((p) => p._id === id));
+
+    const pickedUp = await ctx.request("POST", `/parcels/${id}/pickup`, { as: RIDER, body: { note: "Collected" } });
+    assert.equal(pickedUp.status, 200);
+    assert.equal((await findParcel(id)).status, "In-Transit");
+
+    const wrongCode = await ctx.request("POST", `/parcels/${id}/deliver`, {
+      as: RIDER,
+      body: { code: deliveryCode === "000000" ? "111111" : "000000" },
+    });
+    assert.equal(wrongCode.status, 400);
+    assert.equal(wrongCode.body.code, "INVALID_DELIVERY_CODE");
+    assert.equal(wrongCode.body.details.attemptsRemaining, 4);
+
+    const badPhoto = await ctx.request("POST", `/parcels/${id}/deliver`, {
+      as: RIDER,
+      body: { code: deliveryCode, photo: "data:text/plain;base64,aGVsbG8=" },
+    });
+    assert.equal(badPhoto.status, 400);
+    assert.equal(badPhoto.body.errors[0].field, "photo");
+
+    const delivered = await ctx.request("POST", `/parcels/${id}/deliver`, {
+      as: RIDER,
+      body: { code: deliveryCode, photo: TINY_PNG, note: "Left with reception" },
+    });
+    assert.equal(delivered.status, 200);
+    // Same-district delivery earns 30% of the 60 quote
+    assert.equal(delivered.body.data.riderEarning, 18);
+
+    const parcel = await findParcel(id);
+    assert.equal(parcel.status, "Delivered");
+    assert.equal(parcel.proofOfDelivery.codeVerified, true);
+
+    const photo = await ctx.request("GET", `/parcels/${id}/proof/photo`, { as: OWNER });
+    assert.equal(photo.status, 200);
+    assert.equal(photo.headers.get("content-type"), "image/png");
+
+    const noSignature = await ctx.request("GET", `/parcels/${id}/proof/signature`, { as: OWNER });
+    assert.equal(noSignature.status, 404);
+
+    const completed = await ctx.request("GET", `/riders/completed?email=${RIDER}`, { as: RIDER });
+    assert.equal(completed.body.total, 1);
+  });
+
+  it("lets admins force a delivery and credits the rider once", async () => {
+    const { id } = await paidParcel();
+    await assignTo(id, riderId);
+    await ctx.request("POST", `/parcels/${id}/accept`, { as: RIDER });
+    await ctx.request("POST", `/parcels/${id}/pickup`, { as: RIDER, body: {} });
+
+    const riderSkip = await ctx.request("PATCH", `/parcels/${id}/status`, { as: RIDER, body: { status: "delivered" } });
+    assert.equal(riderSkip.status, 409);
+
+    const res = await ctx.request("PATCH", `/parcels/${id}/status`, { as: ADMIN, body: { status: "delivered" } });
+    assert.equal(res.status, 200);
+
+    const again = await ctx.request("PATCH", `/parcels/${id}/status`, { as: ADMIN, body: { status: "delivered" } });
+    assert.equal(again.status, 409);
+
+    const earnings = await ctx.request("GET", "/riders/earnings", { as: RIDER });
+    assert.equal(earnings.status, 200);
+    assert.equal(earnings.body.data.balance.deliveries, 2);
+    assert.equal(earnings.body.data.balance.available, 36);
+    assert.equal(earnings.body.data.balance.currency, "bdt");
+    assert.deepEqual(earnings.body.data.balances.map((b) => b.currency), ["bdt"]);
+    assert.equal(earnings.body.data.byDay[0].currency, "bdt");
+  });
+
+  it("pays out cash-outs from the available balance", async () => {
+    const tooMuch = await ctx.request("POST", "/riders/cashouts", { as: RIDER, body: { amount: 1000 } });
+    assert.equal(tooMuch.status, 400);
+
+    const otherCurrency = await ctx.request("POST", "/riders/cashouts", { as: RIDER, body: { amount: 1, currency: "eur" } });
+    assert.equal(otherCurrency.status, 400);
+
+    const requested = await ctx.request("POST", "/riders/cashouts", { as: RIDER, body: { amount: 30, method: "bKash" } });
+    assert.equal(requested.status, 201);
+
+    const second = await ctx.request("POST", "/riders/cashouts", { as: RIDER, body: { amount: 1 } });
+    assert.equal(second.status, 409);
+
+    const cashoutId = requested.body.data._id;
+    const approved = await ctx.request("PATCH", `/riders/cashouts/${cashoutId}`, { as: ADMIN, body: { status: "Approved" } });
+    assert.equal(approved.status, 200);
+
+    const twice = await ctx.request("PATCH", `/riders/cashouts/${cashoutId}`, { as: ADMIN, body: { status: "Rejected" } });
+    assert.equal(twice.status, 409);
+
+    const earnings = await ctx.request("GET", "/riders/earnings", { as: RIDER });
+    assert.equal(earnings.body.data.balance.cashedOut, 30);
+    assert.equal(earnings.body.data.balance.available, 6);
+
+    const own = await ctx.request("GET", "/riders/cashouts", { as: RIDER });
+    assert.equal(own.body.total, 1);
+  });
+
+  it("reassigns a parcel whose offer ran out before the worker expired it", async () => {
+    const expireOffer = (id) =>
+      ctx.db.collection("parcels").updateOne({ _id: new ObjectId(id) }, { $set: { offerExpiresAt: new Date(Date.now() - 1000) } });
+
+    const manual = await paidParcel();
+    await assignTo(manual.id, riderId);
+    await expireOffer(manual.id);
+    const reassigned = await assignTo(manual.id, otherRiderId);
+    assert.equal(reassigned.status, 200);
+    assert.equal(reassigned.body.data.riderEmail, OTHER_RIDER);
+
+    const auto = await paidParcel();
+    await assignTo(auto.id, otherRiderId);
+    await expireOffer(auto.id);
+    const autoAssigned = await ctx.request("POST", `/parcels/${auto.id}/auto-assign`, { as: ADMIN });
+    assert.equal(autoAssigned.status, 200);
+    assert.equal(autoAssigned.body.data.riderEmail, RIDER);
+
+    const accepted = await ctx.request("POST", `/parcels/${auto.id}/accept`, { as: OTHER_RIDER });
+    assert.equal(accepted.status, 403);
+  });
+
+  it("keeps the rider fields in step when an admin moves a parcel between Paid and Assigned", async () => {
+    const { id } = await paidParcel();
+    const noRider = await ctx.request("PATCH", `/parcels/${id}/status`, { as: ADMIN, body: { status: "assigned" } });
+    assert.equal(noRider.status, 409);
+    assert.equal(noRider.body.code, "INVALID_STATUS_TRANSITION");
+
+    await assignTo(id, otherRiderId);
+    const unassigned = await ctx.request("PATCH", `/parcels/${id}/status`, { as: ADMIN, body: { status: "paid" } });
+    assert.equal(unassigned.status, 200);
+
+    const parcel = await findParcel(id);
+    assert.equal(parcel.status, "Paid");
+    assert.equal(parcel.assignedRiderEmail, undefined);
+    assert.equal(parcel.assignmentStatus, undefined);
+  });
+});
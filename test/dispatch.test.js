@@ -0,0 +1,50 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { startTestServer, seedUser, seedRider, bookParcel, payForParcel, skipWithoutMongo } from "./setup.js";
+import { dispatchWaitingParcels, DISPATCH_RETRY_MINUTES } from "../dispatch.js";
+
+describe("auto-dispatch", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const OWNER = "owner@test.dev";
+
+  const findParcel = (id) => ctx.db.collection("parcels").findOne({ _id: new ObjectId(id) });
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, OWNER);
+    await seedRider(ctx.db, { email: "dhaka.rider@test.dev" });
+  });
+  after(() => ctx.close());
+
+  it("backs off a parcel nobody can take instead of retrying it every tick", async () => {
+    // Oldest first: the Sylhet parcel has no rider anywhere in its division
+    const stuck = await bookParcel(ctx, OWNER, { senderDistrict: "Sylhet" });
+    await payForParcel(ctx, OWNER, stuck.id);
+    const ready = await bookParcel(ctx, OWNER);
+    await payForParcel(ctx, OWNER, ready.id);
+
+    const now = new Date();
+    assert.equal(await dispatchWaitingParcels(ctx.db, now), 1);
+    assert.equal((await findParcel(ready.id)).status, "Assigned");
+
+    let parcel = await findParcel(stuck.id);
+    assert.equal(parcel.status, "Paid");
+    assert.match(parcel.lastDispatchError, /Sylhet/);
+    assert.equal(parcel.dispatchAttempts, 1);
+    assert.equal(parcel.nextDispatchAt.getTime(), now.getTime() + DISPATCH_RETRY_MINUTES * 60 * 1000);
+
+    // Not picked again until the backoff is over
+    assert.equal(await dispatchWaitingParcels(ctx.db, now), 0);
+    assert.equal((await findParcel(stuck.id)).dispatchAttempts, 1);
+
+    await seedRider(ctx.db, { email: "sylhet.rider@test.dev", district: "Sylhet" });
+    assert.equal(await dispatchWaitingParcels(ctx.db, new Date(parcel.nextDispatchAt.getTime() + 1000)), 1);
+
+    parcel = await findParcel(stuck.id);
+    assert.equal(parcel.status, "Assigned");
+    assert.equal(parcel.assignedRiderEmail, "sylhet.rider@test.dev");
+    assert.equal(parcel.nextDispatchAt, undefined);
+    assert.equal(parcel.lastDispatchError, undefined);
+  });
+});
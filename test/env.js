@@ -0,0 +1,3 @@
+// test/env.js (imported first by setup.js, before app.js reads its configuration)
+// The suite prices parcels in taka, as production does with PARCEL_CURRENCY=bdt
+process.env.PARCEL_CURRENCY ||= "bdt";
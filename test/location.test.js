@@ -0,0 +1,101 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { startTestServer, seedUser, seedRider, bookParcel, payForParcel, skipWithoutMongo } from "./setup.js";
+
+describe("live rider location", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+  const OWNER = "owner@test.dev";
+  const RIDER = "rider@test.dev";
+  let parcel;
+
+  // Jessore road, heading towards Khulna
+  const position = { lat: 23.16649, lng: 89.20812, accuracy: 12 };
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, ADMIN, "admin");
+    await seedUser(ctx.db, OWNER);
+    const riderId = await seedRider(ctx.db, { email: RIDER });
+
+    parcel = await bookParcel(ctx, OWNER, { receiverDistrict: "Khulna" });
+    await payForParcel(ctx, OWNER, parcel.id);
+    await ctx.request("PATCH", `/parcels/${parcel.id}/assign`, { as: ADMIN, body: { riderId: String(riderId) } });
+    await ctx.request("POST", `/parcels/${parcel.id}/accept`, { as: RIDER });
+    await ctx.request("POST", `/parcels/${parcel.id}/pickup`, { as: RIDER, body: {} });
+  });
+  after(() => ctx.close());
+
+  it("validates pushed coordinates and only accepts riders", async () => {
+    const bad = await ctx.request("POST", "/riders/location", { as: RIDER, body: { lat: 123, lng: "east" } });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.errors.map((e) => e.field), ["lat", "lng"]);
+
+    const notRider = await ctx.request("POST", "/riders/location", { as: OWNER, body: position });
+    assert.equal(notRider.status, 403);
+  });
+
+  it("stores the position and gives carried parcels a live ETA", async () => {
+    const res = await ctx.request("POST", "/riders/location", { as: RIDER, body: position });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.parcelsUpdated, 1);
+
+    const rider = await ctx.db.collection("riders").findOne({ email: RIDER });
+    assert.deepEqual(rider.location, { type: "Point", coordinates: [position.lng, position.lat] });
+
+    const near = await ctx.db
+      .collection("riders")
+      .find({ location: { $near: { $geometry: { type: "Point", coordinates: [89.2, 23.17] }, $maxDistance: 5000 } } })
+      .toArray();
+    assert.deepEqual(near.map((r) => r.email), [RIDER]);
+
+    const stored = await ctx.db.collection("parcels").findOne({ _id: new ObjectId(parcel.id) });
+    assert.equal(stored.riderLocation.lat, position.lat);
+    assert.ok(stored.liveEta.distanceKm > 40 && stored.liveEta.distanceKm < 80);
+  });
+
+  it("shows the rounded position and live ETA on the public tracking page", async () => {
+    const res = await ctx.request("GET", `/tracking/${parcel.trackingId}`);
+    const view = res.body.data;
+    assert.deepEqual(view.liveLocation && [view.liveLocation.lat, view.liveLocation.lng], [23.166, 89.208]);
+    assert.equal(view.eta.basis, "live-location");
+    assert.ok(new Date(view.eta.estimatedAt) > new Date());
+  });
+
+  it("streams tracking updates as Server-Sent Events", async () => {
+    const controller = new AbortController();
+    const res = await fetch(`${ctx.baseUrl}/tracking/${parcel.trackingId}/stream`, { signal: controller.signal });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let received = "";
+    const waitForUpdates = async (count) => {
+      while ((received.match(/event: update/g) || []).length < count) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        received += decoder.decode(value);
+      }
+    };
+
+    await waitForUpdates(1);
+    await ctx.request("POST", "/riders/location", { as: RIDER, body: { lat: 22.9, lng: 89.5 } });
+    await waitForUpdates(2);
+    controller.abort();
+
+    const updates = received
+      .split("\n")
+      .filter((line) => line.startsWith("data: {\"trackingId\""))
+      .map((line) => JSON.parse(line.slice(6)));
+    assert.equal(updates.length, 2);
+    assert.equal(updates[1].liveLocation.lat, 22.9);
+    assert.ok(updates[1].eta.distanceKm < updates[0].eta.distanceKm);
+  });
+
+  it("returns 404 for streams of unknown parcels", async () => {
+    const res = await ctx.request("GET", "/tracking/PX-2222-2222/stream");
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { startTestServer, seedUser, parcelBody, bookParcel, skipWithoutMongo } from "./setup.js";
+
+describe("parcels", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+  const OWNER = "owner@test.dev";
+  const STRANGER = "stranger@test.dev";
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, ADMIN, "admin");
+    await seedUser(ctx.db, OWNER);
+    await seedUser(ctx.db, STRANGER);
+  });
+  after(() => ctx.close());
+
+  it("quotes prices without signing in", async () => {
+    const res = await ctx.request("POST", "/parcels/quote", {
+      body: { parcelType: "non-document", weight: 5, senderDistrict: "Dhaka", receiverDistrict: "Chattogram" },
+    });
+    assert.equal(res.status, 200);
+    // 150 inter-district base + 2 extra kg * 40 + 40 surcharge
+    assert.equal(res.body.data.total, 270);
+    assert.equal(res.body.data.currency, "bdt");
+    assert.equal(res.body.data.amountMinor, 27000);
+
+    const bad = await ctx.request("POST", "/parcels/quote", { body: { parcelType: "box" } });
+    assert.equal(bad.status, 400);
+  });
+
+  it("books a parcel with a server-side price, tracking ID and delivery code", async () => {
+    const res = await ctx.request("POST", "/parcels", {
+      as: OWNER,
+      body: parcelBody({ deliveryCost: 1, status: "Delivered", trackingId: "MINE-123" }),
+    });
+    assert.equal(res.status, 201);
+    assert.match(res.body.data.trackingId, /^PX-[0-9A-Z]{4}-[0-9A-Z]{4}$/);
+    assert.match(res.body.data.deliveryCode, /^\d{6}$/);
+
+    const parcel = await ctx.db.collection("parcels").findOne({ _id: new ObjectId(res.body.data.insertedId) });
+    assert.equal(parcel.deliveryCost, 60);
+    assert.equal(parcel.status, "Pending");
+    assert.equal(parcel.createdByEmail, OWNER);
+    assert.equal(parcel.trackingId, res.body.data.trackingId);
+    assert.notEqual(parcel.deliveryCode.hash, res.body.data.deliveryCode);
+
+    const events = await ctx.db.collection("tracking").find({ parcel_id: parcel._id }).toArray();
+    assert.deepEqual(events.map((e) => e.status), ["Pending"]);
+
+    const mails = await ctx.flushMail();
+    assert.ok(mails.some((m) => m.to === OWNER && m.text.includes(res.body.data.deliveryCode)));
+    assert.ok(mails.some((m) => m.to === "receiver@test.dev"));
+  });
+
+  it("rejects invalid parcel bodies", async () => {
+    const res = await ctx.request("POST", "/parcels", {
+      as: OWNER,
+      body: parcelBody({ senderPhone: "12345", receiverDistrict: "Atlantis" }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map((e) => e.field).sort(), ["receiverDistrict", "senderPhone"]);
+  });
+
+  it("lists only the caller's own parcels unless admin", async () => {
+    await bookParcel(ctx, STRANGER);
+
+    const own = await ctx.request("GET", `/parcels?email=${OWNER}`, { as: OWNER });
+    assert.equal(own.status, 200);
+    assert.ok(own.body.data.length >= 1);
+    assert.ok(own.body.data.every((p) => p.createdByEmail === OWNER));
+    assert.ok(own.body.data.every((p) => p.deliveryCode === undefined), "code hash must not be exposed");
+
+    const someoneElse = await ctx.request("GET", `/parcels?email=${STRANGER}`, { as: OWNER });
+    assert.equal(someoneElse.status, 403);
+
+    const all = await ctx.request("GET", "/parcels", { as: ADMIN });
+    assert.equal(all.status, 200);
+    assert.ok(all.body.total >= 2);
+  });
+
+  it("returns a single parcel to its owner only", async () => {
+    const { id } = await bookParcel(ctx, OWNER);
+
+    const own = await ctx.request("GET", `/parcels/${id}`, { as: OWNER });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data._id, id);
+
+    const stranger = await ctx.request("GET", `/parcels/${id}`, { as: STRANGER });
+    assert.equal(stranger.status, 403);
+
+    const badId = await ctx.request("GET", "/parcels/nope", { as: OWNER });
+    assert.equal(badId.status, 400);
+    assert.equal(badId.body.code, "INVALID_ID");
+
+    const missing = await ctx.request("GET", `/parcels/${new ObjectId()}`, { as: OWNER });
+    assert.equal(missing.status, 404);
+  });
+
+  it("cancels an unpaid parcel once", async () => {
+    const { id } = await bookParcel(ctx, OWNER);
+
+    const stranger = await ctx.request("POST", `/parcels/${id}/cancel`, { as: STRANGER, body: {} });
+    assert.equal(stranger.status, 403);
+
+    const res = await ctx.request("POST", `/parcels/${id}/cancel`, { as: OWNER, body: { reason: "Changed my mind" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, "Cancelled");
+    assert.equal(res.body.data.refund, null);
+
+    const again = await ctx.request("POST", `/parcels/${id}/cancel`, { as: OWNER, body: {} });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "INVALID_STATUS_TRANSITION");
+  });
+
+  it("books valid rows from a CSV upload and reports the rest", async () => {
+    const csv = [
+      "Type,Title,Weight,Sender Name,Sender Phone,Sender District,Sender Address,Receiver Name,Receiver Phone,Receiver District,Receiver Address",
+      'document,Invoices,,Acme Ltd,01712345678,Dhaka,"House 1, Road 2",Bob,01812345678,Khulna,Street 5',
+      "non-document,Laptop,,Acme Ltd,01712345678,Dhaka,Warehouse 3,Bob,01812345678,Khulna,Street 5",
+      "non-document,Chairs,7,Acme Ltd,01712345678,Dhaka,Warehouse 3,Carol,0181,Atlantis,Road 9",
+    ].join("\r\n");
+    const upload = (query = "") =>
+      ctx.request("POST", `/parcels/bulk${query}`, { as: OWNER, body: csv, headers: { "Content-Type": "text/csv" } });
+
+    const dryRun = await upload("?dryRun=true");
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.data.valid, 1);
+    assert.equal(dryRun.body.data.created.length, 0);
+
+    const res = await upload();
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.total, 3);
+    assert.deepEqual(res.body.data.created.map((c) => c.row), [1]);
+    assert.match(res.body.data.created[0].trackingId, /^PX-/);
+    assert.deepEqual(
+      res.body.data.errors.map((e) => `${e.row}:${e.field}`),
+      ["2:weight", "3:receiverPhone", "3:receiverDistrict"]
+    );
+
+    const parcel = await ctx.db.collection("parcels").findOne({ trackingId: res.body.data.created[0].trackingId });
+    assert.equal(parcel.senderAddress, "House 1, Road 2");
+    assert.equal(parcel.deliveryCost, 80);
+    assert.equal(parcel.createdByEmail, OWNER);
+
+    const json = await ctx.request("POST", "/parcels/bulk", { as: OWNER, body: [parcelBody({ title: 12 }), { title: "x" }] });
+    assert.equal(json.status, 201);
+    assert.equal(json.body.data.created.length, 1);
+
+    const nothingValid = await ctx.request("POST", "/parcels/bulk", { as: OWNER, body: { parcels: [{}] } });
+    assert.equal(nothingValid.status, 400);
+    assert.ok(nothingValid.body.errors.every((e) => e.row === 1));
+  });
+
+  it("streams filtered CSV exports to admins", async () => {
+    const res = await ctx.request("GET", "/parcels/export?district=Khulna", { as: ADMIN });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    assert.match(res.headers.get("content-disposition"), /attachment; filename="parcels-/);
+
+    const [header, ...lines] = res.body.trim().split("\r\n");
+    assert.ok(header.startsWith("trackingId,createdAt,createdByEmail,status"));
+    assert.equal(lines.length, 1);
+    assert.ok(!lines[0].includes("House 1"), "addresses are not exported");
+    assert.ok(lines[0].includes("Invoices"));
+
+    const payments = await ctx.request("GET", "/parcels/export?type=payments", { as: ADMIN });
+    assert.equal(payments.status, 200);
+    assert.ok(payments.body.startsWith("paymentIntentId,"));
+
+    const badType = await ctx.request("GET", "/parcels/export?type=users", { as: ADMIN });
+    assert.equal(badType.status, 400);
+
+    const notAdmin = await ctx.request("GET", "/parcels/export", { as: OWNER });
+    assert.equal(notAdmin.status, 403);
+  });
+
+  it("answers unknown routes and malformed JSON with the error envelope", async () => {
+    const unknown = await ctx.request("GET", "/nope");
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, "ROUTE_NOT_FOUND");
+
+    const malformed = await ctx.request("POST", "/parcels/quote", { body: "{not json" });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, "INVALID_JSON");
+  });
+});
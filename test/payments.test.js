@@ -0,0 +1,287 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+import { startTestServer, seedUser, bookParcel, payForParcel, WEBHOOK_SECRET, skipWithoutMongo } from "./setup.js";
+
+describe("payments", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+  const OWNER = "owner@test.dev";
+  const STRANGER = "stranger@test.dev";
+  const LATE_PAYER = "late@test.dev";
+
+  const findParcel = (id) => ctx.db.collection("parcels").findOne({ _id: new ObjectId(id) });
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, ADMIN, "admin");
+    await seedUser(ctx.db, OWNER);
+    await seedUser(ctx.db, STRANGER);
+    await seedUser(ctx.db, LATE_PAYER);
+  });
+  after(() => ctx.close());
+
+  it("creates a payment intent for the quoted amount, ignoring the client's amount", async () => {
+    const { id } = await bookParcel(ctx, OWNER, { parcelType: "non-document", weight: 2, receiverDistrict: "Gazipur" });
+
+    const res = await ctx.request("POST", "/create-payment-intent", { as: OWNER, body: { parcelId: id, amount: 1 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.amountMinor, 15000);
+    assert.equal(res.body.data.amountInCents, 15000);
+    assert.equal(res.body.data.currency, "bdt");
+    assert.ok(res.body.data.clientSecret);
+
+    const parcel = await ctx.db.collection("parcels").findOne({ _id: new ObjectId(id) });
+    assert.equal(parcel.currency, "bdt");
+
+    const stranger = await ctx.request("POST", "/create-payment-intent", { as: STRANGER, body: { parcelId: id } });
+    assert.equal(stranger.status, 403);
+
+    const missing = await ctx.request("POST", "/create-payment-intent", { as: OWNER, body: {} });
+    assert.equal(missing.status, 400);
+  });
+
+  it("confirms a succeeded payment and marks the parcel Paid", async () => {
+    const { id } = await bookParcel(ctx, OWNER);
+    const paymentIntent = await payForParcel(ctx, OWNER, id);
+
+    const parcel = await findParcel(id);
+    assert.equal(parcel.status, "Paid");
+    assert.equal(parcel.paymentStatus, "Paid");
+    assert.equal(parcel.paymentIntentId, paymentIntent.id);
+
+    const payment = await ctx.db.collection("payments").findOne({ paymentIntentId: paymentIntent.id });
+    assert.equal(payment.status, "Succeeded");
+    assert.equal(payment.amount, 6000);
+
+    const twice = await ctx.request("POST", "/create-payment-intent", { as: OWNER, body: { parcelId: id } });
+    assert.equal(twice.status, 409);
+  });
+
+  it("refuses to confirm unpaid or mismatched payment intents", async () => {
+    const { id } = await bookParcel(ctx, OWNER);
+    const intent = await ctx.request("POST", "/create-payment-intent", { as: OWNER, body: { parcelId: id } });
+    const paymentIntentId = intent.body.data.clientSecret.split("_secret_")[0];
+
+    const notPaid = await ctx.request("POST", "/payments/confirm", { as: OWNER, body: { parcelId: id, paymentIntentId } });
+    assert.equal(notPaid.status, 400);
+
+    ctx.stripe.succeed(paymentIntentId);
+    const { id: otherId } = await bookParcel(ctx, OWNER);
+    const mismatch = await ctx.request("POST", "/payments/confirm", {
+      as: OWNER,
+      body: { parcelId: otherId, paymentIntentId },
+    });
+    assert.equal(mismatch.status, 400);
+
+    const unknown = await ctx.request("POST", "/payments/confirm", {
+      as: OWNER,
+      body: { parcelId: id, paymentIntentId: "pi_does_not_exist" },
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, "PAYMENT_REQUEST_INVALID");
+
+    const notYours = await ctx.request("POST", "/payments/confirm", { as: STRANGER, body: { parcelId: id, paymentIntentId } });
+    assert.equal(notYours.status, 403);
+  });
+
+  it("refuses intents without this parcel's id, amount or currency", async () => {
+    const { id } = await bookParcel(ctx, OWNER);
+    const confirmWith = async (fields) => {
+      const intent = await ctx.stripe.paymentIntents.create({ amount: 6000, currency: "bdt", metadata: { parcelId: id }, ...fields });
+      ctx.stripe.succeed(intent.id);
+      return ctx.request("POST", "/payments/confirm", { as: OWNER, body: { parcelId: id, paymentIntentId: intent.id } });
+    };
+
+    for (const fields of [{ metadata: { parcelId: "" } }, { amount: 100 }, { currency: "eur" }]) {
+      const res = await confirmWith(fields);
+      assert.equal(res.status, 400, JSON.stringify(fields));
+      assert.equal(res.body.code, "PAYMENT_MISMATCH");
+    }
+    assert.equal((await findParcel(id)).paymentStatus, "Unpaid");
+
+    const matching = await confirmWith({});
+    assert.equal(matching.status, 200);
+    assert.equal((await findParcel(id)).paymentStatus, "Paid");
+  });
+
+  it("records payments from signed Stripe webhooks exactly once", async () => {
+    const { id } = await bookParcel(ctx, OWNER);
+    const intent = await ctx.request("POST", "/create-payment-intent", { as: OWNER, body: { parcelId: id } });
+    const paymentIntent = ctx.stripe.succeed(intent.body.data.clientSecret.split("_secret_")[0]);
+
+    const payload = JSON.stringify({
+      id: "evt_test_1",
+      type: "payment_intent.succeeded",
+      created: Math.floor(Date.now() / 1000),
+      data: { object: paymentIntent },
+    });
+    const signature = ctx.stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+    const send = (headers) =>
+      ctx.request("POST", "/webhooks/stripe", { body: payload, headers: { "Content-Type": "application/json", ...headers } });
+
+    const unsigned = await send({ "Stripe-Signature": "t=1,v1=bogus" });
+    assert.equal(unsigned.status, 400);
+
+    const first = await send({ "Stripe-Signature": signature });
+    assert.equal(first.status, 200);
+    assert.equal((await findParcel(id)).paymentStatus, "Paid");
+
+    const replay = await send({ "Stripe-Signature": signature });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.duplicate, true);
+  });
+
+  it("refunds a paid parcel on cancellation", async () => {
+    const { id } = await bookParcel(ctx, OWNER);
+    await payForParcel(ctx, OWNER, id);
+
+    const partialByUser = await ctx.request("POST", `/parcels/${id}/cancel`, { as: OWNER, body: { amountInCents: 100 } });
+    assert.equal(partialByUser.status, 403);
+
+    const res = await ctx.request("POST", `/parcels/${id}/cancel`, { as: OWNER, body: { reason: "No longer needed" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.status, "Cancelled");
+    assert.equal(res.body.data.paymentStatus, "Refunded");
+    assert.equal(res.body.data.refund.amount, 6000);
+    assert.equal(ctx.stripe.issuedRefunds.at(-1).amount, 6000);
+  });
+
+  it("refunds a payment that completes after the parcel was cancelled", async () => {
+    const { id } = await bookParcel(ctx, LATE_PAYER);
+    const intent = await ctx.request("POST", "/create-payment-intent", { as: LATE_PAYER, body: { parcelId: id } });
+    const paymentIntentId = intent.body.data.clientSecret.split("_secret_")[0];
+
+    const cancel = await ctx.request("POST", `/parcels/${id}/cancel`, { as: LATE_PAYER, body: {} });
+    assert.equal(cancel.status, 200);
+    const again = await ctx.request("POST", "/create-payment-intent", { as: LATE_PAYER, body: { parcelId: id } });
+    assert.equal(again.status, 409);
+
+    ctx.stripe.succeed(paymentIntentId);
+    const res = await ctx.request("POST", "/payments/confirm", { as: LATE_PAYER, body: { parcelId: id, paymentIntentId } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.paymentStatus, "Refunded");
+
+    const parcel = await findParcel(id);
+    assert.equal(parcel.status, "Cancelled");
+    assert.equal(parcel.paymentStatus, "Refunded");
+    assert.equal(ctx.stripe.issuedRefunds.at(-1).payment_intent, paymentIntentId);
+    assert.equal(ctx.stripe.issuedRefunds.at(-1).amount, 6000);
+  });
+
+  it("lets Stripe redeliver, and admins retry, a failed late-payment refund", async () => {
+    const { id } = await bookParcel(ctx, LATE_PAYER);
+    const intent = await ctx.request("POST", "/create-payment-intent", { as: LATE_PAYER, body: { parcelId: id } });
+    const paymentIntentId = intent.body.data.clientSecret.split("_secret_")[0];
+    await ctx.request("POST", `/parcels/${id}/cancel`, { as: LATE_PAYER, body: {} });
+
+    const paymentIntent = ctx.stripe.succeed(paymentIntentId);
+    const payload = JSON.stringify({
+      id: "evt_test_late_refund",
+      type: "payment_intent.succeeded",
+      created: Math.floor(Date.now() / 1000),
+      data: { object: paymentIntent },
+    });
+    const signature = ctx.stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+    const send = () =>
+      ctx.request("POST", "/webhooks/stripe", { body: payload, headers: { "Content-Type": "application/json", "Stripe-Signature": signature } });
+
+    ctx.stripe.failRefunds = true;
+    try {
+      const failed = await send();
+      assert.equal(failed.status, 500, "Stripe must redeliver the event");
+      assert.equal((await findParcel(id)).paymentStatus, "Refund-Required");
+
+      const flagged = await ctx.request("GET", "/payments?refundRequired=true", { as: ADMIN });
+      assert.deepEqual(flagged.body.data.map((p) => p.paymentIntentId), [paymentIntentId]);
+
+      const stillDown = await ctx.request("POST", `/payments/${paymentIntentId}/refund`, { as: ADMIN });
+      assert.equal(stillDown.status, 502);
+    } finally {
+      ctx.stripe.failRefunds = false;
+    }
+
+    const byOwner = await ctx.request("POST", `/payments/${paymentIntentId}/refund`, { as: LATE_PAYER });
+    assert.equal(byOwner.status, 403);
+
+    const retried = await ctx.request("POST", `/payments/${paymentIntentId}/refund`, { as: ADMIN });
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.data.paymentStatus, "Refunded");
+    assert.equal((await ctx.db.collection("payments").findOne({ paymentIntentId })).refundRequired, undefined);
+
+    const redelivered = await send();
+    assert.equal(redelivered.status, 200);
+    assert.equal(ctx.stripe.issuedRefunds.filter((r) => r.payment_intent === paymentIntentId).length, 1);
+
+    const again = await ctx.request("POST", `/payments/${paymentIntentId}/refund`, { as: ADMIN });
+    assert.equal(again.status, 409);
+  });
+
+  it("refunds a second payment for a parcel that is already paid", async () => {
+    const { id } = await bookParcel(ctx, LATE_PAYER);
+    const intentIdOf = (res) => res.body.data.clientSecret.split("_secret_")[0];
+    const firstTab = intentIdOf(await ctx.request("POST", "/create-payment-intent", { as: LATE_PAYER, body: { parcelId: id } }));
+    const secondTab = intentIdOf(await ctx.request("POST", "/create-payment-intent", { as: LATE_PAYER, body: { parcelId: id } }));
+
+    ctx.stripe.succeed(firstTab);
+    await ctx.request("POST", "/payments/confirm", { as: LATE_PAYER, body: { parcelId: id, paymentIntentId: firstTab } });
+    ctx.stripe.succeed(secondTab);
+    const res = await ctx.request("POST", "/payments/confirm", { as: LATE_PAYER, body: { parcelId: id, paymentIntentId: secondTab } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.duplicate, true);
+
+    const parcel = await findParcel(id);
+    assert.equal(parcel.paymentStatus, "Paid");
+    assert.equal(parcel.paymentIntentId, firstTab, "the parcel keeps the first intent");
+    assert.equal(ctx.stripe.issuedRefunds.at(-1).payment_intent, secondTab);
+    assert.equal((await ctx.db.collection("payments").findOne({ paymentIntentId: secondTab })).status, "Refunded");
+
+    // Cancelling refunds the intent the parcel was actually paid with
+    const cancel = await ctx.request("POST", `/parcels/${id}/cancel`, { as: LATE_PAYER, body: {} });
+    assert.equal(cancel.status, 200);
+    assert.equal(ctx.stripe.issuedRefunds.at(-1).payment_intent, firstTab);
+  });
+
+  it("lets admins issue partial refunds", async () => {
+    const { id } = await bookParcel(ctx, OWNER);
+    await payForParcel(ctx, OWNER, id);
+
+    const tooMuch = await ctx.request("POST", `/parcels/${id}/cancel`, { as: ADMIN, body: { amountInCents: 999999 } });
+    assert.equal(tooMuch.status, 400);
+
+    const res = await ctx.request("POST", `/parcels/${id}/cancel`, { as: ADMIN, body: { amountInCents: 2500 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.paymentStatus, "Partially-Refunded");
+  });
+
+  it("lists payment history for the payer and admins", async () => {
+    const own = await ctx.request("GET", `/payments?email=${OWNER}`, { as: OWNER });
+    assert.equal(own.status, 200);
+    assert.ok(own.body.total >= 3);
+    assert.ok(own.body.data.every((p) => p.payerEmail === OWNER));
+
+    const refunded = await ctx.request("GET", `/payments?email=${OWNER}&status=refunded`, { as: OWNER });
+    assert.equal(refunded.body.total, 1);
+
+    // Totals never mix currencies, and zero-decimal amounts are not divided by 100
+    await ctx.db.collection("payments").insertOne({
+      paymentIntentId: "pi_test_jpy",
+      payerEmail: OWNER,
+      status: "Succeeded",
+      amount: 1500,
+      currency: "jpy",
+      createdAt: new Date(),
+    });
+    const totals = await ctx.request("GET", `/payments?email=${OWNER}`, { as: OWNER });
+    const jpy = totals.body.totalsByCurrency.find((t) => t.currency === "jpy");
+    assert.deepEqual(jpy, { currency: "jpy", payments: 1, amount: 1500, amountRefunded: 0, net: 1500 });
+    assert.ok(totals.body.totalsByCurrency.find((t) => t.currency === "bdt").amount > 0);
+
+    const someoneElse = await ctx.request("GET", `/payments?email=${OWNER}`, { as: STRANGER });
+    assert.equal(someoneElse.status, 403);
+
+    const all = await ctx.request("GET", "/payments", { as: ADMIN });
+    assert.equal(all.status, 200);
+  });
+});
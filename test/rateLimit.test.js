@@ -0,0 +1,47 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, seedUser, bookParcel, skipWithoutMongo } from "./setup.js";
+
+describe("rate limiting", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+  const OTHER_ADMIN = "other.admin@test.dev";
+
+  before(async () => {
+    ctx = await startTestServer({
+      rateLimits: {
+        tracking: { windowMs: 60 * 1000, max: 2, by: "ip" },
+        userSearch: { windowMs: 60 * 1000, max: 1, by: "uid" },
+      },
+    });
+    await seedUser(ctx.db, ADMIN, "admin");
+    await seedUser(ctx.db, OTHER_ADMIN, "admin");
+  });
+  after(() => ctx.close());
+
+  it("answers over-budget requests with 429 and Retry-After", async () => {
+    const { trackingId } = await bookParcel(ctx, ADMIN);
+
+    const first = await ctx.request("GET", `/tracking/${trackingId}`);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("ratelimit-limit"), "2");
+    assert.equal(first.headers.get("ratelimit-remaining"), "1");
+
+    await ctx.request("GET", `/tracking/${trackingId}`);
+    const limited = await ctx.request("GET", `/tracking/${trackingId}`);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, "RATE_LIMITED");
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  });
+
+  it("counts signed-in budgets per user, not per IP", async () => {
+    const first = await ctx.request("GET", "/users/search?query=admin", { as: ADMIN });
+    assert.equal(first.status, 200);
+
+    const second = await ctx.request("GET", "/users/search?query=admin", { as: ADMIN });
+    assert.equal(second.status, 429);
+
+    const otherUser = await ctx.request("GET", "/users/search?query=admin", { as: OTHER_ADMIN });
+    assert.equal(otherUser.status, 200);
+  });
+});
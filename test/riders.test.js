@@ -0,0 +1,202 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, seedUser, seedRider, skipWithoutMongo } from "./setup.js";
+
+describe("riders", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+  const APPLICANT = "applicant@test.dev";
+
+  const application = {
+    name: "Rahim Uddin",
+    phone: "01712345678",
+    age: 28,
+    district: "Sylhet",
+    nid: "1234567890",
+    drivingLicense: "SY0123456L0001",
+    bikeBrand: "Yamaha",
+    bikeRegistration: "SYL-4321",
+  };
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, ADMIN, "admin");
+    await seedUser(ctx.db, APPLICANT);
+  });
+  after(() => ctx.close());
+
+  it("files an application as pending for the signed-in user", async () => {
+    const res = await ctx.request("POST", "/riders", {
+      as: APPLICANT,
+      body: { ...application, email: "someone@else.dev", status: "active" },
+    });
+    assert.equal(res.status, 201);
+
+    const rider = await ctx.db.collection("riders").findOne({ email: APPLICANT });
+    assert.equal(rider.status, "pending");
+    assert.equal(String(rider._id), res.body.data.insertedId);
+
+    const invalid = await ctx.request("POST", "/riders", { as: APPLICANT, body: { ...application, age: 12, nid: "1" } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.errors.map((e) => e.field).sort(), ["age", "nid"]);
+
+    const noLicense = await ctx.request("POST", "/riders", { as: APPLICANT, body: { ...application, drivingLicense: "" } });
+    assert.deepEqual(noLicense.body.errors.map((e) => e.field), ["drivingLicense"]);
+  });
+
+  it("allows one application per user", async () => {
+    const again = await ctx.request("POST", "/riders", { as: APPLICANT, body: application });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "APPLICATION_PENDING");
+    assert.equal(await ctx.db.collection("riders").countDocuments({ email: APPLICANT }), 1);
+
+    const own = await ctx.request("GET", "/riders/me", { as: APPLICANT });
+    assert.equal(own.body.data.status, "pending");
+    assert.equal(own.body.data.canReapply, false);
+  });
+
+  it("lists pending applications for admins", async () => {
+    const res = await ctx.request("GET", "/riders/pending?district=sylhet", { as: ADMIN });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map((r) => r.email), [APPLICANT]);
+
+    const notAdmin = await ctx.request("GET", "/riders/pending", { as: APPLICANT });
+    assert.equal(notAdmin.status, 403);
+  });
+
+  it("approves an application, promotes the user and emails them", async () => {
+    const rider = await ctx.db.collection("riders").findOne({ email: APPLICANT });
+
+    const res = await ctx.request("PATCH", `/riders/${rider._id}`, { as: ADMIN, body: { status: "Active", note: "Documents checked" } });
+    assert.equal(res.status, 200);
+
+    const user = await ctx.db.collection("users").findOne({ email: APPLICANT });
+    assert.equal(user.role, "rider");
+    assert.equal(ctx.auth.claims.get(`uid-${APPLICANT}`).role, "rider");
+
+    const mails = await ctx.flushMail();
+    assert.ok(mails.some((m) => m.to === APPLICANT));
+
+    const active = await ctx.request("GET", "/riders/active?district=Sylhet", { as: ADMIN });
+    assert.deepEqual(active.body.data.map((r) => r.email), [APPLICANT]);
+
+    const byDistrict = await ctx.request("GET", "/riders/by-district?district=Sylhet", { as: ADMIN });
+    assert.equal(byDistrict.status, 200);
+    assert.equal(byDistrict.body.count, 1);
+  });
+
+  it("takes the promoted user from the rider record, not the request", async () => {
+    const riderId = await seedRider(ctx.db, { email: "pending@test.dev", status: "pending" });
+    await seedUser(ctx.db, "bystander@test.dev");
+
+    const res = await ctx.request("PATCH", `/riders/${riderId}`, {
+      as: ADMIN,
+      body: { status: "active", email: "bystander@test.dev" },
+    });
+    assert.equal(res.status, 200);
+
+    const promoted = await ctx.db.collection("users").findOne({ email: "pending@test.dev" });
+    const bystander = await ctx.db.collection("users").findOne({ email: "bystander@test.dev" });
+    assert.equal(promoted.role, "rider");
+    assert.equal(bystander.role, "user");
+  });
+
+  it("rejects with a reason and enforces the re-application cooldown", async () => {
+    const riderId = await seedRider(ctx.db, { email: "rejected@test.dev", status: "pending" });
+
+    const noReason = await ctx.request("PATCH", `/riders/${riderId}`, { as: ADMIN, body: { status: "rejected" } });
+    assert.equal(noReason.status, 400);
+    assert.deepEqual(noReason.body.errors.map((e) => e.field), ["reason"]);
+
+    const res = await ctx.request("PATCH", `/riders/${riderId}`, {
+      as: ADMIN,
+      body: { status: "rejected", reason: "NID could not be verified" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.rejectionReason, "NID could not be verified");
+
+    const user = await ctx.db.collection("users").findOne({ email: "rejected@test.dev" });
+    assert.equal(user.role, "user");
+
+    const tooSoon = await ctx.request("POST", "/riders", { as: "rejected@test.dev", body: application });
+    assert.equal(tooSoon.status, 409);
+    assert.equal(tooSoon.body.code, "REAPPLY_TOO_SOON");
+    assert.ok(tooSoon.body.details.reapplyAfter);
+
+    // Once the cooldown is over the same application goes back to pending, history intact
+    await ctx.db.collection("riders").updateOne({ _id: riderId }, { $set: { rejectedAt: new Date("2020-01-01") } });
+    const reapplied = await ctx.request("POST", "/riders", { as: "rejected@test.dev", body: application });
+    assert.equal(reapplied.status, 200);
+    assert.equal(reapplied.body.data.insertedId, String(riderId));
+
+    const rider = await ctx.db.collection("riders").findOne({ _id: riderId });
+    assert.equal(rider.status, "pending");
+    assert.equal(rider.rejectionReason, undefined);
+    assert.deepEqual(rider.statusHistory.map((h) => h.to), ["rejected", "pending"]);
+
+    const missingFields = await ctx.request("PATCH", `/riders/${riderId}`, { as: ADMIN, body: {} });
+    assert.equal(missingFields.status, 400);
+  });
+
+  it("suspends a rider without deleting them and blocks new assignments", async () => {
+    const riderId = await seedRider(ctx.db, { email: "suspended@test.dev", district: "Sylhet" });
+
+    const invalid = await ctx.request("PATCH", `/riders/${riderId}`, { as: ADMIN, body: { status: "rejected", reason: "x" } });
+    assert.equal(invalid.status, 409);
+    assert.equal(invalid.body.code, "INVALID_STATUS_TRANSITION");
+
+    const res = await ctx.request("PATCH", `/riders/${riderId}`, {
+      as: ADMIN,
+      body: { status: "suspended", reason: "Repeated late deliveries" },
+    });
+    assert.equal(res.status, 200);
+
+    const user = await ctx.db.collection("users").findOne({ email: "suspended@test.dev" });
+    assert.equal(user.role, "rider");
+
+    const suspended = await ctx.request("GET", "/riders/suspended", { as: ADMIN });
+    assert.deepEqual(suspended.body.data.map((r) => r.email), ["suspended@test.dev"]);
+
+    const byDistrict = await ctx.request("GET", "/riders/by-district?district=Sylhet", { as: ADMIN });
+    assert.equal(byDistrict.body.data.some((r) => r.email === "suspended@test.dev"), false);
+
+    const reapply = await ctx.request("POST", "/riders", { as: "suspended@test.dev", body: application });
+    assert.equal(reapply.body.code, "RIDER_SUSPENDED");
+
+    const reinstated = await ctx.request("PATCH", `/riders/${riderId}`, { as: ADMIN, body: { status: "active" } });
+    assert.equal(reinstated.status, 200);
+    assert.equal(reinstated.body.data.suspendedAt, undefined);
+  });
+
+  it("lists riders approved before the status rename as active", async () => {
+    await seedRider(ctx.db, { email: "legacy.rider@test.dev", district: "Rajshahi", status: "approved" });
+
+    const active = await ctx.request("GET", "/riders/active?district=Rajshahi", { as: ADMIN });
+    assert.deepEqual(active.body.data.map((r) => r.email), ["legacy.rider@test.dev"]);
+
+    const byDistrict = await ctx.request("GET", "/riders/by-district?district=Rajshahi", { as: ADMIN });
+    assert.equal(byDistrict.body.count, 1);
+  });
+
+  it("reports districts without active riders", async () => {
+    const res = await ctx.request("GET", "/riders/by-district?district=Bandarban", { as: ADMIN });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NO_ACTIVE_RIDERS");
+
+    const missing = await ctx.request("GET", "/riders/by-district", { as: ADMIN });
+    assert.equal(missing.status, 400);
+  });
+
+  it("shows riders only their own tasks", async () => {
+    const own = await ctx.request("GET", `/riders/tasks?email=${APPLICANT}`, { as: APPLICANT });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.count, 0);
+
+    const other = await ctx.request("GET", "/riders/tasks?email=rejected@test.dev", { as: APPLICANT });
+    assert.equal(other.status, 403);
+
+    const notRider = await ctx.request("GET", "/riders/tasks?email=rejected@test.dev", { as: "rejected@test.dev" });
+    assert.equal(notRider.status, 403);
+    assert.equal(notRider.body.code, "INSUFFICIENT_ROLE");
+  });
+});
@@ -0,0 +1,298 @@
+// test/setup.js (shared harness for the integration suite)
+// Boots the real app from app.js against a throwaway MongoDB with fake Firebase, Stripe, mail and storage.
+// MongoDB, first match wins:
+//   TEST_MONGODB_URI=mongodb://127.0.0.1:27017  any running mongod; nothing is downloaded
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod       mongodb-memory-server starts that binary
+//   otherwise mongodb-memory-server downloads the version pinned in package.json
+//   (config.mongodbMemoryServer) once into ~/.cache/mongodb-binaries. That first run needs network
+//   access (to fastdl.mongodb.org); later runs work offline.
+// Without MongoDB the suites fail with the reason. Locally you can skip them instead with
+// TEST_SKIP_WITHOUT_MONGO=1; on CI (CI set) they always fail, so a green run means they ran.
+import "./env.js";
+import crypto from "crypto";
+import { MongoClient } from "mongodb";
+import Stripe from "stripe";
+import { createApp } from "../app.js";
+import { processOutbox } from "../notifications.js";
+
+export const WEBHOOK_SECRET = "whsec_test_secret";
+
+// --- Firebase: the bearer token is the caller's email ("invalid" fails verification). Every email
+// has an account (uid-<email>); tokens carry its current custom claims, as after a token refresh.
+// Accounts in `revoked` fail revocation checks.
+export const createFakeAuth = () => {
+  const claims = new Map();
+  const revoked = new Set();
+  const uidOf = (email) => `uid-${email}`;
+  const account = (email) => ({ uid: uidOf(email), email, customClaims: claims.get(uidOf(email)) });
+
+  return {
+    claims,
+    revoked,
+    async verifyIdToken(token, checkRevoked = false) {
+      if (token === "invalid") throw new Error("Firebase ID token has invalid signature");
+      if (checkRevoked && revoked.has(uidOf(token))) {
+        throw Object.assign(new Error("The Firebase ID token has been revoked."), { code: "auth/id-token-revoked" });
+      }
+      return { ...claims.get(uidOf(token)), uid: uidOf(token), email: token };
+    },
+    async getUser(uid) {
+      if (!uid.startsWith("uid-")) throw Object.assign(new Error("No user record"), { code: "auth/user-not-found" });
+      return account(uid.slice(4));
+    },
+    async getUserByEmail(email) {
+      return account(email);
+    },
+    async setCustomUserClaims(uid, customClaims) {
+      claims.set(uid, customClaims);
+    },
+    async revokeRefreshTokens(uid) {
+      revoked.add(uid);
+    },
+  };
+};
+
+// --- Stripe: payment intents and refunds live in memory. Webhook signing uses the real SDK helpers,
+// which work offline.
+export const createFakeStripe = () => {
+  const intents = new Map();
+  const issuedRefunds = [];
+  let counter = 0;
+
+  const fake = {
+    intents,
+    issuedRefunds,
+    webhooks: new Stripe("sk_test_offline").webhooks,
+    paymentIntents: {
+      async create({ amount, currency, metadata }) {
+        const id = `pi_test_${++counter}`;
+        const intent = {
+          id,
+          object: "payment_intent",
+          amount,
+          currency,
+          metadata,
+          status: "requires_payment_method",
+          client_secret: `${id}_secret_${counter}`,
+          payment_method_types: ["card"],
+          created: Math.floor(Date.now() / 1000),
+        };
+        intents.set(id, intent);
+        return intent;
+      },
+      async retrieve(id) {
+        const intent = intents.get(id);
+        if (!intent) {
+          throw Object.assign(new Error(`No such payment_intent: '${id}'`), { type: "StripeInvalidRequestError" });
+        }
+        return intent;
+      },
+    },
+    failRefunds: false, // set to make refunds.create fail like a Stripe outage
+    refunds: {
+      async create({ payment_intent, amount }) {
+        if (fake.failRefunds) {
+          throw Object.assign(new Error("Stripe is unavailable"), { type: "StripeAPIError" });
+        }
+        const intent = intents.get(payment_intent);
+        const refund = { id: `re_test_${++counter}`, amount, currency: intent?.currency || "usd", payment_intent };
+        issuedRefunds.push(refund);
+        return refund;
+      },
+    },
+    // What the customer's browser would do with the client secret
+    succeed(id) {
+      const intent = intents.get(id);
+      Object.assign(intent, { status: "succeeded", amount_received: intent.amount });
+      return intent;
+    },
+  };
+  return fake;
+};
+
+// --- Mail: a transport that just records what was sent
+export const createFakeMailer = () => {
+  const sent = [];
+  return {
+    sent,
+    async sendMail(message) {
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    },
+  };
+};
+
+// --- Proof-of-delivery storage in memory
+export const createMemoryStorage = () => {
+  const files = new Map();
+  return {
+    driver: "memory",
+    files,
+    async put(key, buffer, contentType) {
+      files.set(key, { body: buffer, contentType });
+      return { driver: "memory", key };
+    },
+    async get(key) {
+      return files.get(key) || null;
+    },
+  };
+};
+
+let memoryServer = null;
+
+const startMongo = async () => {
+  if (process.env.TEST_MONGODB_URI) return process.env.TEST_MONGODB_URI;
+  const { MongoMemoryServer } = await import("mongodb-memory-server");
+  memoryServer = await MongoMemoryServer.create();
+  return memoryServer.getUri();
+};
+
+// Started once per test file (node --test runs each file in its own process)
+const mongo = await startMongo().then(
+  (uri) => ({ uri }),
+  (err) => ({ error: err })
+);
+
+const mongoMissing = mongo.error
+  ? `no MongoDB (${mongo.error.msg || String(mongo.error.message).split("\n")[0]}); set TEST_MONGODB_URI or MONGOMS_SYSTEM_BINARY, see test/setup.js`
+  : null;
+
+// Pass as describe(name, { skip: skipWithoutMongo }, ...): false, or why there is no MongoDB when
+// skipping was asked for
+export const skipWithoutMongo =
+  !!mongoMissing && !process.env.CI && process.env.TEST_SKIP_WITHOUT_MONGO === "1" ? mongoMissing : false;
+if (skipWithoutMongo) console.warn(`⚠️ Skipping integration tests: ${skipWithoutMongo}`);
+
+// Start the API on a random port with a fresh database. Call close() in an after() hook.
+// `options` go straight to createApp (e.g. { rateLimits } to shrink a budget).
+export async function startTestServer(options = {}) {
+  if (mongoMissing) throw new Error(`Cannot run the integration tests: ${mongoMissing}`);
+  const client = new MongoClient(mongo.uri);
+  await client.connect();
+  const db = client.db(`parcelx_test_${crypto.randomBytes(4).toString("hex")}`);
+
+  const stripe = createFakeStripe();
+  const mailer = createFakeMailer();
+  const storage = createMemoryStorage();
+  const auth = createFakeAuth();
+  const app = createApp({ db, stripe, auth, mailer, storage, webhookSecret: WEBHOOK_SECRET, ...options });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // request("POST", "/parcels", { as: "user@test.dev", body }) -> { status, headers, body }
+  const request = async (method, path, { as, body, headers = {} } = {}) => {
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(as && { Authorization: `Bearer ${as}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: res.status, headers: res.headers, body: json };
+  };
+
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await db.dropDatabase();
+    await client.close();
+    if (memoryServer) {
+      await memoryServer.stop();
+      memoryServer = null;
+    }
+  };
+
+  // Deliver everything queued in the email outbox and return what was sent. notify() also flushes
+  // in the background, so wait for any message another flush has claimed.
+  const flushMail = async () => {
+    for (let i = 0; i < 20; i++) {
+      await processOutbox(db);
+      const busy = await db
+        .collection("email_outbox")
+        .countDocuments({ status: { $in: ["pending", "sending"] }, nextAttemptAt: { $lte: new Date() } });
+      if (!busy) break;
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+    return mailer.sent;
+  };
+
+  return { baseUrl, db, stripe, auth, mailer, storage, request, flushMail, close };
+}
+
+// --- Fixtures
+
+export const seedUser = async (db, email, role = "user") => {
+  const { insertedId } = await db
+    .collection("users")
+    .insertOne({ email, name: email.split("@")[0], role, createdAt: new Date() });
+  return insertedId;
+};
+
+export const seedRider = async (db, { email, district = "Dhaka", status = "active", name = "Test Rider" }) => {
+  await seedUser(db, email, status === "active" ? "rider" : "user");
+  const { insertedId } = await db.collection("riders").insertOne({
+    name,
+    email,
+    phone: "01911111111",
+    age: 25,
+    district,
+    nid: "1234567890",
+    drivingLicense: "DK0123456L0001",
+    bikeBrand: "Honda",
+    bikeRegistration: "DHA-1234",
+    status,
+    createdAt: new Date(),
+  });
+  return insertedId;
+};
+
+export const parcelBody = (overrides = {}) => ({
+  parcelType: "document",
+  title: "Contract papers",
+  senderName: "Sender One",
+  senderPhone: "01712345678",
+  senderDistrict: "Dhaka",
+  senderAddress: "House 1, Road 2, Dhanmondi",
+  receiverName: "Receiver Two",
+  receiverPhone: "01812345678",
+  receiverEmail: "receiver@test.dev",
+  receiverDistrict: "Dhaka",
+  receiverAddress: "House 9, Road 8, Gulshan",
+  ...overrides,
+});
+
+// Book a parcel as `owner` -> { id, trackingId, deliveryCode }
+export const bookParcel = async ({ request }, owner, overrides) => {
+  const res = await request("POST", "/parcels", { as: owner, body: parcelBody(overrides) });
+  if (res.status !== 201) throw new Error(`Booking failed: ${JSON.stringify(res.body)}`);
+  const { insertedId, trackingId, deliveryCode } = res.body.data;
+  return { id: insertedId, trackingId, deliveryCode };
+};
+
+// Pay for a parcel the way the client does: create an intent, succeed it, confirm it
+export const payForParcel = async ({ request, stripe }, owner, parcelId) => {
+  const intent = await request("POST", "/create-payment-intent", { as: owner, body: { parcelId } });
+  if (intent.status !== 200) throw new Error(`Payment intent failed: ${JSON.stringify(intent.body)}`);
+  const paymentIntent = stripe.succeed(intent.body.data.clientSecret.split("_secret_")[0]);
+  const confirm = await request("POST", "/payments/confirm", {
+    as: owner,
+    body: { parcelId, paymentIntentId: paymentIntent.id },
+  });
+  if (confirm.status !== 200) throw new Error(`Payment confirm failed: ${JSON.stringify(confirm.body)}`);
+  return paymentIntent;
+};
+
+// A 1x1 transparent PNG, as a data URL
+export const TINY_PNG =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=";
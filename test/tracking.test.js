@@ -0,0 +1,61 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, seedUser, bookParcel, skipWithoutMongo } from "./setup.js";
+
+describe("tracking", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const OWNER = "owner@test.dev";
+  const STRANGER = "stranger@test.dev";
+  let parcel;
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, OWNER);
+    await seedUser(ctx.db, STRANGER);
+    parcel = await bookParcel(ctx, OWNER, { receiverDistrict: "Rajshahi" });
+  });
+  after(() => ctx.close());
+
+  it("shows a redacted public view without signing in", async () => {
+    const res = await ctx.request("GET", `/tracking/${parcel.trackingId.toLowerCase()}`);
+    assert.equal(res.status, 200);
+
+    const view = res.body.data;
+    assert.equal(view.trackingId, parcel.trackingId);
+    assert.equal(view.status, "Pending");
+    assert.equal(view.from, "Dhaka");
+    assert.equal(view.to, "Rajshahi");
+    assert.ok(view.eta);
+    assert.deepEqual(view.timeline.map((e) => e.status), ["Pending"]);
+
+    const text = JSON.stringify(res.body);
+    for (const secret of ["01712345678", "01812345678", "Sender One", "Receiver Two", "Gulshan", OWNER]) {
+      assert.ok(!text.includes(secret), `public view leaks ${secret}`);
+    }
+  });
+
+  it("resolves legacy tracking IDs replaced by the backfill", async () => {
+    await ctx.db.collection("parcels").updateOne({ trackingId: parcel.trackingId }, { $set: { legacyTrackingId: "TRK-OLD-1" } });
+
+    const res = await ctx.request("GET", "/tracking/TRK-OLD-1");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.trackingId, parcel.trackingId);
+
+    const unknown = await ctx.request("GET", "/tracking/PX-0000-0000");
+    assert.equal(unknown.status, 404);
+  });
+
+  it("shows full details to the owner only", async () => {
+    const own = await ctx.request("GET", `/tracking/${parcel.trackingId}/details`, { as: OWNER });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.data.parcel.receiverName, "Receiver Two");
+    assert.equal(own.body.data.parcel.deliveryCode, undefined);
+    assert.equal(own.body.data.history.length, 1);
+
+    const stranger = await ctx.request("GET", `/tracking/${parcel.trackingId}/details`, { as: STRANGER });
+    assert.equal(stranger.status, 403);
+
+    const anonymous = await ctx.request("GET", `/tracking/${parcel.trackingId}/details`);
+    assert.equal(anonymous.status, 401);
+  });
+});
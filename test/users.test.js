@@ -0,0 +1,175 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, seedUser, skipWithoutMongo } from "./setup.js";
+
+describe("users", { skip: skipWithoutMongo }, () => {
+  let ctx;
+  const ADMIN = "admin@test.dev";
+
+  before(async () => {
+    ctx = await startTestServer();
+    await seedUser(ctx.db, ADMIN, "admin");
+  });
+  after(() => ctx.close());
+
+  it("creates the caller's user on first sign-in and refreshes lastLogin afterwards", async () => {
+    const body = { email: "victim@test.dev", name: "New User", uid: "uid-victim@test.dev", role: "admin" };
+
+    const anonymous = await ctx.request("POST", "/users", { body });
+    assert.equal(anonymous.status, 401);
+
+    const first = await ctx.request("POST", "/users", { as: "new.user@test.dev", body });
+    assert.equal(first.status, 201);
+
+    const again = await ctx.request("POST", "/users", { as: "new.user@test.dev", body });
+    assert.equal(again.status, 200);
+
+    const user = await ctx.db.collection("users").findOne({ email: "new.user@test.dev" });
+    assert.equal(user.role, "user", "role from the body must be ignored");
+    assert.equal(user.uid, "uid-new.user@test.dev", "uid comes from the token");
+    assert.equal(user.name, "New User");
+    assert.ok(user.lastLogin);
+    assert.equal(await ctx.db.collection("users").countDocuments({ email: "victim@test.dev" }), 0);
+  });
+
+  it("rejects an invalid user body with field errors", async () => {
+    const res = await ctx.request("POST", "/users", { as: "new.user@test.dev", body: { image: "javascript:alert(1)" } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.equal(res.body.errors[0].field, "image");
+  });
+
+  it("looks up roles only for the caller or an admin", async () => {
+    await seedUser(ctx.db, "role@test.dev", "rider");
+    const own = await ctx.request("GET", "/users/role", { as: "role@test.dev" });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.role, "rider");
+
+    const anonymous = await ctx.request("GET", "/users/role?email=role@test.dev");
+    assert.equal(anonymous.status, 401);
+
+    const someoneElse = await ctx.request("GET", "/users/role?email=role@test.dev", { as: "nosy@test.dev" });
+    assert.equal(someoneElse.status, 403);
+  });
+
+  it("lets only admins change roles", async () => {
+    const id = await seedUser(ctx.db, "promote@test.dev");
+
+    const forbidden = await ctx.request("PATCH", `/users/${id}/role`, { as: "promote@test.dev", body: { role: "admin" } });
+    assert.equal(forbidden.status, 403);
+
+    const res = await ctx.request("PATCH", `/users/${id}/role`, { as: ADMIN, body: { role: "Rider" } });
+    assert.equal(res.status, 200);
+    const user = await ctx.db.collection("users").findOne({ _id: id });
+    assert.equal(user.role, "rider");
+  });
+
+  it("mirrors role changes into Firebase custom claims", async () => {
+    const id = await seedUser(ctx.db, "claims@test.dev");
+    const uid = "uid-claims@test.dev";
+
+    const promoted = await ctx.request("PATCH", `/users/${id}/role`, { as: ADMIN, body: { role: "admin" } });
+    assert.equal(promoted.body.data.claimsSynced, true);
+    assert.deepEqual(ctx.auth.claims.get(uid), { role: "admin" });
+    assert.equal(ctx.auth.revoked.has(uid), false);
+
+    const demoted = await ctx.request("PATCH", `/users/${id}/role`, { as: ADMIN, body: { role: "user" } });
+    assert.equal(demoted.body.data.sessionsRevoked, true);
+    assert.deepEqual(ctx.auth.claims.get(uid), { role: "user" });
+
+    // A token minted before the demotion still claims admin and is refused
+    ctx.auth.claims.set(uid, { role: "admin" });
+    const stale = await ctx.request("GET", "/users", { as: "claims@test.dev" });
+    assert.equal(stale.status, 401);
+    assert.equal(stale.body.code, "TOKEN_REVOKED");
+  });
+
+  it("never lets a claim outrank the stored role", async () => {
+    // A demotion whose claim sync failed: the token still claims admin and was not revoked
+    await seedUser(ctx.db, "unsynced@test.dev", "user");
+    ctx.auth.claims.set("uid-unsynced@test.dev", { role: "admin" });
+    const res = await ctx.request("GET", "/users", { as: "unsynced@test.dev" });
+    assert.equal(res.status, 403);
+
+    // A claim lower than users.role wins until the token is refreshed
+    await seedUser(ctx.db, "promoted@test.dev", "admin");
+    ctx.auth.claims.set("uid-promoted@test.dev", { role: "rider" });
+    const stale = await ctx.request("GET", "/users", { as: "promoted@test.dev" });
+    assert.equal(stale.status, 403);
+  });
+
+  it("never puts a role claim on an account with another email", async () => {
+    const { insertedId: id } = await ctx.db
+      .collection("users")
+      .insertOne({ email: "target@test.dev", uid: "uid-attacker@test.dev", role: "user", createdAt: new Date() });
+
+    const res = await ctx.request("PATCH", `/users/${id}/role`, { as: ADMIN, body: { role: "admin" } });
+    assert.equal(res.status, 200);
+    assert.equal(ctx.auth.claims.get("uid-attacker@test.dev"), undefined);
+    assert.deepEqual(ctx.auth.claims.get("uid-target@test.dev"), { role: "admin" });
+    assert.equal((await ctx.db.collection("users").findOne({ _id: id })).uid, "uid-target@test.dev");
+  });
+
+  it("validates role changes", async () => {
+    const bogusRole = await ctx.request("PATCH", `/users/${await seedUser(ctx.db, "x@test.dev")}/role`, {
+      as: ADMIN,
+      body: { role: "superuser" },
+    });
+    assert.equal(bogusRole.status, 400);
+
+    const notAString = await ctx.request("PATCH", `/users/${await seedUser(ctx.db, "y@test.dev")}/role`, {
+      as: ADMIN,
+      body: { role: { $ne: "user" } },
+    });
+    assert.equal(notAString.status, 400);
+    const numeric = await ctx.request("PATCH", `/users/${await seedUser(ctx.db, "z@test.dev")}/role`, { as: ADMIN, body: { role: 1 } });
+    assert.equal(numeric.status, 400);
+
+    const badId = await ctx.request("PATCH", "/users/not-an-id/role", { as: ADMIN, body: { role: "user" } });
+    assert.equal(badId.status, 400);
+    assert.equal(badId.body.code, "INVALID_ID");
+
+    const unknown = await ctx.request("PATCH", "/users/64b000000000000000000000/role", { as: ADMIN, body: { role: "user" } });
+    assert.equal(unknown.status, 404);
+  });
+
+  it("searches and lists users for admins only", async () => {
+    const search = await ctx.request("GET", "/users/search?query=promote", { as: ADMIN });
+    assert.equal(search.status, 200);
+    assert.deepEqual(search.body.data.map((u) => u.email), ["promote@test.dev"]);
+
+    // Regex metacharacters are matched literally
+    const literal = await ctx.request("GET", "/users/search?query=pro.*", { as: ADMIN });
+    assert.equal(literal.status, 200);
+    assert.equal(literal.body.total, 0);
+
+    const list = await ctx.request("GET", "/users?role=rider&limit=1", { as: ADMIN });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.limit, 1);
+    assert.equal(list.body.total, 2);
+    assert.ok(list.body.nextCursor);
+
+    const next = await ctx.request("GET", `/users?role=rider&limit=1&cursor=${list.body.nextCursor}`, { as: ADMIN });
+    assert.equal(next.status, 200);
+    assert.equal(next.body.data.length, 1);
+    assert.notEqual(next.body.data[0].email, list.body.data[0].email);
+
+    // Query operators smuggled into a cursor are refused
+    const injected = Buffer.from(JSON.stringify({ s: { t: "raw", v: { $gt: "" } }, id: { t: "raw", v: { $ne: null } } }));
+    const forged = await ctx.request("GET", `/users?cursor=${injected.toString("base64url")}`, { as: ADMIN });
+    assert.equal(forged.status, 400);
+
+    const notAdmin = await ctx.request("GET", "/users", { as: "promote@test.dev" });
+    assert.equal(notAdmin.status, 403);
+  });
+
+  it("requires a valid token", async () => {
+    const missing = await ctx.request("GET", "/users");
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, "TOKEN_MISSING");
+
+    const invalid = await ctx.request("GET", "/users", { as: "invalid" });
+    assert.equal(invalid.status, 403);
+    assert.equal(invalid.body.code, "TOKEN_INVALID");
+  });
+});
@@ -0,0 +1,122 @@
+// tracking.js (parcel timeline events)
+import crypto from "crypto";
+import { isFreshLocation, publishParcelUpdate } from "./location.js";
+
+// Who triggered the event, taken from the verified token when there is one
+export const actorFromRequest = (req) => ({
+  email: req?.decoded?.email || null,
+  role: req?.decoded ? req.role || "user" : "system",
+});
+
+// Append one event to the parcel's timeline in the tracking collection.
+// Tracking is best effort: a failed write is logged but never fails the caller.
+export async function logTrackingEvent(db, parcel, { status, actor, district = null, location = null, note = "" }) {
+  if (!parcel?._id) return null;
+
+  const event = {
+    parcel_id: parcel._id,
+    tracking_id: parcel.trackingId || null,
+    status,
+    actor: actor || { email: null, role: "system" },
+    district,
+    location,
+    note,
+    time: new Date(),
+  };
+
+  try {
+    await db.collection("tracking").insertOne(event);
+    publishParcelUpdate(parcel.trackingId);
+    return event;
+  } catch (error) {
+    console.error("Error writing tracking event:", error);
+    return null;
+  }
+}
+
+// --- Tracking IDs: "PX-" + 8 characters from an alphabet without look-alikes (no 0/O, 1/I/L, U),
+// e.g. PX-7KQ4-M9TZ. 30^8 combinations; the unique index on parcels.trackingId catches the rare clash.
+const TRACKING_ALPHABET = "23456789ABCDEFGHJKMNPQRSTVWXYZ";
+const TRACKING_ID_RE = /^PX-[2-9A-HJKMNP-TV-Z]{4}-[2-9A-HJKMNP-TV-Z]{4}$/;
+
+// randomInt keeps every character equally likely (a byte modulo 30 would favour the first 16)
+export const generateTrackingId = () => {
+  const chars = Array.from({ length: 8 }, () => TRACKING_ALPHABET[crypto.randomInt(TRACKING_ALPHABET.length)]).join("");
+  return `PX-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// Accept lower case and missing dashes from people typing the ID in
+export const normalizeTrackingId = (value) => {
+  const raw = String(value || "").toUpperCase().replace(/[^0-9A-Z]/g, "");
+  const body = raw.startsWith("PX") ? raw.slice(2) : raw;
+  const id = `PX-${body.slice(0, 4)}-${body.slice(4)}`;
+  return TRACKING_ID_RE.test(id) ? id : null;
+};
+
+// Insert a document with a fresh tracking ID, retrying on the (unlikely) duplicate key
+export async function insertWithTrackingId(collection, doc, attempts = 5) {
+  for (let i = 1; ; i++) {
+    const trackingId = generateTrackingId();
+    try {
+      const result = await collection.insertOne({ ...doc, trackingId });
+      return { result, trackingId };
+    } catch (err) {
+      const isTrackingClash = err?.code === 11000 && err?.keyPattern?.trackingId;
+      if (!isTrackingClash || i >= attempts) throw err;
+    }
+  }
+}
+
+// --- ETA: same-district parcels take about a day, inter-district about three, counted from
+// the furthest point the parcel has reached. While the rider is sharing a fresh position the
+// ETA computed from it (location.js) wins.
+const SAME_DISTRICT_HOURS = 24;
+const INTER_DISTRICT_HOURS = 72;
+const ON_THE_ROAD = ["Picked-Up", "In-Transit"];
+
+const hasLiveLocation = (parcel) => ON_THE_ROAD.includes(parcel.status) && isFreshLocation(parcel.riderLocation);
+
+export const estimateDelivery = (parcel) => {
+  if (parcel.deliveredAt) return { deliveredAt: parcel.deliveredAt, estimatedAt: null };
+  if (["Cancelled", "Returned"].includes(parcel.status)) return { deliveredAt: null, estimatedAt: null };
+  if (hasLiveLocation(parcel) && parcel.liveEta?.estimatedAt) {
+    return {
+      deliveredAt: null,
+      estimatedAt: parcel.liveEta.estimatedAt,
+      basis: "live-location",
+      distanceKm: parcel.liveEta.distanceKm,
+    };
+  }
+
+  const from = parcel.pickedUpAt || parcel.assignedAt || parcel.updatedAt || parcel.createdAt;
+  if (!from) return { deliveredAt: null, estimatedAt: null };
+
+  const sameDistrict =
+    String(parcel.senderDistrict || "").toLowerCase() === String(parcel.receiverDistrict || "").toLowerCase();
+  const hours = sameDistrict ? SAME_DISTRICT_HOURS : INTER_DISTRICT_HOURS;
+  return { deliveredAt: null, estimatedAt: new Date(new Date(from).getTime() + hours * 60 * 60 * 1000), basis: "schedule" };
+};
+
+// What anyone holding the tracking ID may see: status, district-level places and times only, plus
+// the rider's position (rounded to ~100 m) while the parcel is on the road.
+// No names, phones, addresses, payment details, riders or free-text notes.
+export const publicTrackingView = (parcel, history) => {
+  const lastWithDistrict = [...history].reverse().find((event) => event.district);
+  return {
+    trackingId: parcel.trackingId,
+    status: parcel.status,
+    parcelType: parcel.parcelType || null,
+    from: parcel.senderDistrict || null,
+    to: parcel.receiverDistrict || null,
+    currentDistrict: lastWithDistrict?.district || parcel.senderDistrict || null,
+    eta: estimateDelivery(parcel),
+    liveLocation: hasLiveLocation(parcel)
+      ? {
+          lat: Math.round(parcel.riderLocation.lat * 1000) / 1000,
+          lng: Math.round(parcel.riderLocation.lng * 1000) / 1000,
+          updatedAt: parcel.riderLocation.updatedAt,
+        }
+      : null,
+    timeline: history.map((event) => ({ status: event.status, district: event.district || null, time: event.time })),
+  };
+};
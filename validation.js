@@ -0,0 +1,168 @@
+// validation.js (declarative request body schemas)
+import { canonicalDistrict, REGIONS } from "./districts.js";
+import { ValidationError } from "./errors.js";
+import { ROLES } from "./verifyRole.js";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Bangladeshi mobile numbers, with or without the +88 / 88 prefix
+const PHONE_RE = /^(?:\+?88)?01[3-9]\d{8}$/;
+
+// Field rules: type ("string" | "number" | "boolean"), required, enum, format ("email" | "phone" | "district"
+// | "region"), pattern, min / max (numbers), minLength / maxLength (strings), alias (older client field name).
+// Anything not declared in a schema is dropped, which is how server-owned fields are kept out.
+const checkField = (rule, raw) => {
+  let value = raw;
+
+  if (rule.type === "string") {
+    if (typeof value === "number") value = String(value);
+    if (typeof value !== "string") return { error: "must be a string" };
+    value = value.trim();
+    if (value === "") return { empty: true };
+    if (rule.minLength && value.length < rule.minLength) return { error: `must be at least ${rule.minLength} characters` };
+    if (rule.maxLength && value.length > rule.maxLength) return { error: `must be at most ${rule.maxLength} characters` };
+  }
+
+  if (rule.type === "number") {
+    if (typeof value === "string" && value.trim() !== "") value = Number(value);
+    if (typeof value !== "number" || !Number.isFinite(value)) return { error: "must be a number" };
+    if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+  }
+
+  if (rule.type === "boolean") {
+    if (value === "true" || value === "false") value = value === "true";
+    if (typeof value !== "boolean") return { error: "must be true or false" };
+  }
+
+  if (rule.enum) {
+    const match = rule.enum.find((option) => String(option).toLowerCase() === String(value).toLowerCase());
+    if (match === undefined) return { error: `must be one of: ${rule.enum.join(", ")}` };
+    value = match;
+  }
+
+  if (rule.format === "email") {
+    if (!EMAIL_RE.test(value)) return { error: "must be a valid email address" };
+    value = value.toLowerCase();
+  }
+  if (rule.format === "phone") {
+    const digits = value.replace(/[\s-]/g, "");
+    if (!PHONE_RE.test(digits)) return { error: "must be a valid mobile number (e.g. 01712345678)" };
+    value = digits;
+  }
+  if (rule.format === "district") {
+    value = canonicalDistrict(value);
+    if (!value) return { error: "must be a district we deliver to" };
+  }
+  if (rule.format === "region") {
+    const match = REGIONS.find((region) => region.toLowerCase() === value.toLowerCase());
+    if (!match) return { error: `must be one of: ${REGIONS.join(", ")}` };
+    value = match;
+  }
+  if (rule.pattern && !rule.pattern.test(String(value))) {
+    return { error: rule.patternMessage || "has an invalid format" };
+  }
+
+  return { value };
+};
+
+// Returns { value, errors } where value holds only declared, normalized fields
+export const validate = (schema, body = {}) => {
+  const value = {};
+  const errors = [];
+  const input = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field] ?? (rule.alias ? input[rule.alias] : undefined);
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (rule.required) errors.push({ field, message: "is required" });
+      continue;
+    }
+
+    const result = checkField(rule, raw);
+    if (result.error) errors.push({ field, message: result.error });
+    else if (result.empty) {
+      if (rule.required) errors.push({ field, message: "is required" });
+    } else value[field] = result.value;
+  }
+
+  return { value, errors };
+};
+
+// Middleware: replace req.body with the validated value, or answer 400 listing every field error
+export const validateBody = (schema) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body);
+  if (errors.length) {
+    return next(new ValidationError("Validation failed", { errors }));
+  }
+  req.body = value;
+  next();
+};
+
+// --- Schemas
+
+export const parcelSchema = {
+  parcelType: { type: "string", required: true, enum: ["document", "non-document"], alias: "type" },
+  title: { type: "string", required: true, maxLength: 120 },
+  weight: { type: "number", min: 0, max: 100 },
+  senderName: { type: "string", required: true, maxLength: 80 },
+  senderPhone: { type: "string", required: true, format: "phone" },
+  senderRegion: { type: "string", format: "region" },
+  senderDistrict: { type: "string", required: true, format: "district" },
+  senderAddress: { type: "string", required: true, maxLength: 250 },
+  pickupInstruction: { type: "string", maxLength: 500 },
+  receiverName: { type: "string", required: true, maxLength: 80 },
+  receiverPhone: { type: "string", required: true, format: "phone" },
+  receiverEmail: { type: "string", format: "email" },
+  receiverRegion: { type: "string", format: "region" },
+  receiverDistrict: { type: "string", required: true, format: "district" },
+  receiverAddress: { type: "string", required: true, maxLength: 250 },
+  deliveryInstruction: { type: "string", maxLength: 500 },
+};
+
+export const riderApplicationSchema = {
+  name: { type: "string", required: true, maxLength: 80 },
+  phone: { type: "string", required: true, format: "phone" },
+  age: { type: "number", required: true, min: 18, max: 70 },
+  region: { type: "string", format: "region" },
+  district: { type: "string", required: true, format: "district" },
+  nid: { type: "string", required: true, pattern: /^(\d{10}|\d{13}|\d{17})$/, patternMessage: "must be a 10, 13 or 17 digit NID number" },
+  drivingLicense: {
+    type: "string",
+    required: true,
+    pattern: /^[A-Z0-9-]{8,20}$/i,
+    patternMessage: "must be a driving license number (8-20 letters and digits)",
+    alias: "license",
+  },
+  bikeBrand: { type: "string", required: true, maxLength: 60 },
+  bikeRegistration: { type: "string", required: true, maxLength: 30 },
+};
+
+// PATCH /riders/:id; rejections and suspensions also need a reason (checked in the route)
+export const riderReviewSchema = {
+  status: { type: "string", required: true, enum: ["active", "rejected", "suspended"] },
+  reason: { type: "string", maxLength: 500 },
+  note: { type: "string", maxLength: 1000 },
+  allowReapply: { type: "boolean" },
+};
+
+// POST /riders/location; heading in degrees from north, speed in m/s, accuracy in metres (as browsers report)
+export const locationSchema = {
+  lat: { type: "number", required: true, min: -90, max: 90 },
+  lng: { type: "number", required: true, min: -180, max: 180 },
+  accuracy: { type: "number", min: 0, max: 100000 },
+  heading: { type: "number", min: 0, max: 360 },
+  speed: { type: "number", min: 0, max: 100 },
+};
+
+// POST /users; email and uid come from the verified ID token, never the body
+export const userSchema = {
+  name: { type: "string", maxLength: 80 },
+  image: { type: "string", maxLength: 2048, pattern: /^https?:\/\//, patternMessage: "must be an http(s) URL" },
+  provider: { type: "string", maxLength: 30 },
+};
+
+// PATCH /users/:id/role
+export const userRoleSchema = {
+  role: { type: "string", required: true, enum: ROLES },
+};
@@ -0,0 +1,54 @@
+// verifyRole.js (middleware, use after verifyToken)
+import { UnauthorizedError, ForbiddenError } from "./errors.js";
+
+export const ROLES = ["user", "admin", "rider"];
+export const ROLE_RANK = { user: 0, rider: 1, admin: 2 };
+// Roles that grant more than a plain account; tokens claiming one get a revocation check (verifyToken.js)
+export const PRIVILEGED_ROLES = ["rider", "admin"];
+
+// Resolve the caller's role from the users collection. A privileged `role` custom claim (claims.js)
+// can only lower it: the lower of the two wins, so a demotion whose claim sync failed still applies
+// at once, and a claim never grants more than users.role.
+const resolveRole = async (decoded, getDb) => {
+  if (!decoded?.email) return "user";
+
+  const db = await getDb();
+  const user = await db
+    .collection("users")
+    .findOne({ email: decoded.email }, { projection: { role: 1 } });
+
+  const role = ROLES.includes(user?.role) ? user.role : "user";
+  const claim = decoded.role;
+  return PRIVILEGED_ROLES.includes(claim) && ROLE_RANK[claim] < ROLE_RANK[role] ? claim : role;
+};
+
+// Returns verifyRole(...roles): only lets callers with one of the given roles through
+// (no roles = any signed-in user). A failed role lookup rejects, which Express hands to the error middleware.
+export const createVerifyRole = (getDb) => (...roles) => async (req, res, next) => {
+  if (!req.decoded) {
+    throw new UnauthorizedError("Unauthorized access: No token provided", { code: "TOKEN_MISSING" });
+  }
+
+  req.role = req.role || (await resolveRole(req.decoded, getDb));
+
+  if (roles.length && !roles.includes(req.role)) {
+    throw new ForbiddenError("Forbidden access: Insufficient role", { code: "INSUFFICIENT_ROLE" });
+  }
+  next();
+};
+
+export const isAdmin = (req) => req.role === "admin";
+
+// Admins see everything; otherwise the caller may only act on their own email
+export const isSelfOrAdmin = (req, email) => isAdmin(req) || (!!email && email === req.decoded?.email);
+
+// Parcel owner, its assigned rider, or an admin
+export const canAccessParcel = (req, parcel) => {
+  if (isAdmin(req)) return true;
+  const email = req.decoded?.email;
+  if (!email || !parcel) return false;
+  if (parcel.createdByEmail === email) return true;
+  return req.role === "rider" && parcel.assignedRiderEmail === email;
+};
+
+export default createVerifyRole;
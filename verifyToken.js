@@ -1,27 +1,36 @@
 // verifyToken.js (middleware)
-import admin from "firebase-admin";
+import { UnauthorizedError, ForbiddenError } from "./errors.js";
+import { PRIVILEGED_ROLES } from "./verifyRole.js";
 
-// Verify Firebase token middleware
-const verifyToken = async (req, res, next) => {
+// Verify Firebase ID tokens. `auth` is anything with verifyIdToken(token, checkRevoked), normally
+// firebase.js and a stub in tests. The role is resolved later, by verifyRole.
+export const createVerifyToken = (auth) => async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader) {
-    return res.status(401).send({ message: 'Unauthorized access: No token provided' });
+    return next(new UnauthorizedError('Unauthorized access: No token provided', { code: 'TOKEN_MISSING' }));
   }
 
   const token = authHeader.split(' ')[1]; // Get the token after 'Bearer'
   if (!token) {
-    return res.status(401).send({ message: 'Unauthorized access: No token provided' });
+    return next(new UnauthorizedError('Unauthorized access: No token provided', { code: 'TOKEN_MISSING' }));
   }
 
   try {
-    // Verify the token with Firebase Admin SDK
-    const decoded = await admin.auth().verifyIdToken(token);
+    let decoded = await auth.verifyIdToken(token);
+    // A demotion revokes the sessions that carried the old claim (costs an extra Firebase call,
+    // only for tokens claiming rider or admin)
+    if (PRIVILEGED_ROLES.includes(decoded.role)) {
+      decoded = await auth.verifyIdToken(token, true);
+    }
     req.decoded = decoded;  // Attach the decoded user info to the request object
     next();  // Call the next middleware/route handler
   } catch (error) {
+    if (error?.code === 'auth/id-token-revoked') {
+      return next(new UnauthorizedError('Session revoked: please sign in again', { code: 'TOKEN_REVOKED' }));
+    }
     console.error('Token verification error:', error);
-    return res.status(403).send({ message: 'Forbidden access: Invalid token' });
+    return next(new ForbiddenError('Forbidden access: Invalid token', { code: 'TOKEN_INVALID' }));
   }
 };
 
-export default verifyToken;
\ No newline at end of file
+export default createVerifyToken;